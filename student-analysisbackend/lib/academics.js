@@ -0,0 +1,71 @@
+// Academic record helpers (VTU grading: credit-weighted SGPA per semester and CGPA across semesters)
+const VTU_GRADE_POINTS = { 'O': 10, 'A+': 9, 'A': 8, 'B+': 7, 'B': 6, 'C': 5, 'P': 4, 'F': 0, 'AB': 0 };
+
+const gradeFromScore = (score) => {
+  if (typeof score !== 'number' || isNaN(score)) return null;
+  if (score >= 90) return 'O';
+  if (score >= 80) return 'A+';
+  if (score >= 70) return 'A';
+  if (score >= 60) return 'B+';
+  if (score >= 55) return 'B';
+  if (score >= 50) return 'C';
+  if (score >= 40) return 'P';
+  return 'F';
+};
+
+const toNumberOrNull = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const normalizeSubjectMarks = (subject) => {
+  const score = toNumberOrNull(subject.score);
+  const rawGrade = typeof subject.grade === 'string' ? subject.grade.trim().toUpperCase() : null;
+  const grade = rawGrade && VTU_GRADE_POINTS[rawGrade] !== undefined ? rawGrade : gradeFromScore(score);
+
+  return {
+    code: subject.code ? String(subject.code).trim().toUpperCase() : undefined,
+    name: subject.name || 'Unknown Subject',
+    credits: toNumberOrNull(subject.credits),
+    grade,
+    gradePoints: grade ? VTU_GRADE_POINTS[grade] : toNumberOrNull(subject.gradePoints),
+    internalMarks: toNumberOrNull(subject.internalMarks) ?? undefined,
+    externalMarks: toNumberOrNull(subject.externalMarks) ?? undefined,
+    score: score ?? undefined,
+    result: subject.result || undefined
+  };
+};
+
+// SGPA = sum(credits x grade points) / sum(credits); failed subjects keep their credits with 0 points
+const computeSemesterGpa = (subjects) => {
+  const graded = subjects.filter(subject => typeof subject.gradePoints === 'number' && subject.credits > 0);
+  const totalCredits = graded.reduce((sum, subject) => sum + subject.credits, 0);
+  const creditPoints = graded.reduce((sum, subject) => sum + subject.credits * subject.gradePoints, 0);
+
+  return {
+    sgpa: totalCredits > 0 ? Math.round((creditPoints / totalCredits) * 100) / 100 : null,
+    totalCredits,
+    creditPoints,
+    earnedCredits: graded.filter(subject => subject.gradePoints > 0).reduce((sum, subject) => sum + subject.credits, 0),
+    backlogs: subjects.filter(subject => subject.grade === 'F' || subject.grade === 'AB').length
+  };
+};
+
+// CGPA = sum of credit points across semesters / sum of credits across semesters
+const computeCgpa = (semesters) => {
+  const totals = semesters.reduce((acc, semester) => {
+    acc.credits += semester.totalCredits || 0;
+    acc.points += semester.creditPoints || 0;
+    return acc;
+  }, { credits: 0, points: 0 });
+
+  if (totals.credits > 0) {
+    return Math.round((totals.points / totals.credits) * 100) / 100;
+  }
+
+  // Without credit data fall back to the mean of the reported SGPAs
+  const reported = semesters.map(semester => semester.sgpa).filter(sgpa => typeof sgpa === 'number');
+  return reported.length ? Math.round((reported.reduce((a, b) => a + b, 0) / reported.length) * 100) / 100 : null;
+};
+
+module.exports = { toNumberOrNull, normalizeSubjectMarks, computeSemesterGpa, computeCgpa };
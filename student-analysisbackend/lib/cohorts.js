@@ -0,0 +1,88 @@
+const { badRequest } = require('./errors');
+
+// VTU USNs encode the admission year and branch, e.g. 1RV21CS001 -> batch 2021, branch CS
+const USN_PATTERN = /^\d[A-Z]{2}(\d{2})([A-Z]{2,3})\d{3}$/;
+
+const cohortFieldsFromUsn = (usn) => {
+  const match = USN_PATTERN.exec(usn || '');
+  return match ? { batchYear: 2000 + parseInt(match[1]), branch: match[2] } : {};
+};
+
+// Branches are stored as the USN branch code; common department names map onto it
+const BRANCH_CODE_PATTERN = /^[A-Z]{2,3}$/;
+const BRANCH_CODE_ALIASES = {
+  CSE: 'CS',
+  ISE: 'IS',
+  ECE: 'EC',
+  EEE: 'EE',
+  MECH: 'ME',
+  CIVIL: 'CV',
+  AIML: 'AI',
+  ETE: 'TE'
+};
+
+const normalizeBranch = (branch) => {
+  const value = String(branch ?? '').trim().toUpperCase();
+  return BRANCH_CODE_ALIASES[value] || value;
+};
+
+// Turn ?semester=&batchYear=&branch= into a $match stage; throws a 400 error for invalid values
+const buildCohortMatch = (query) => {
+  const match = {};
+
+  if (query.semester !== undefined) {
+    const semester = parseInt(query.semester);
+    if (!(semester >= 1 && semester <= 8)) {
+      throw badRequest('semester must be between 1 and 8');
+    }
+    match.semester = semester;
+  }
+  if (query.batchYear !== undefined) {
+    const batchYear = parseInt(query.batchYear);
+    if (!(batchYear >= 2000 && batchYear <= 2100)) {
+      throw badRequest('batchYear must be a four-digit year');
+    }
+    match.batchYear = batchYear;
+  }
+  if (query.branch) {
+    match.branch = String(query.branch).trim().toUpperCase();
+  }
+
+  return match;
+};
+
+// Bulk selection: { usnFrom, usnTo } (same college, year and branch) or { semester, section } with optional
+// branch and batchYear
+const buildMentorAssignmentMatch = ({ usnFrom, usnTo, semester, section, branch, batchYear }) => {
+  const byRange = usnFrom !== undefined || usnTo !== undefined;
+  const bySection = semester !== undefined || section !== undefined;
+  if (byRange === bySection) {
+    throw badRequest('Give either usnFrom and usnTo, or semester and section');
+  }
+
+  if (byRange) {
+    const from = String(usnFrom || '').trim().toUpperCase();
+    const to = String(usnTo || '').trim().toUpperCase();
+    if (!USN_PATTERN.test(from) || !USN_PATTERN.test(to)) {
+      throw badRequest('usnFrom and usnTo must both be valid USNs (e.g. 1RV21CS001)');
+    }
+    if (from.slice(0, -3) !== to.slice(0, -3) || from > to) {
+      throw badRequest('usnFrom and usnTo must share college, year and branch, with usnFrom first');
+    }
+    return { usn: { $gte: from, $lte: to } };
+  }
+
+  if (semester === undefined || !section) {
+    throw badRequest('Both semester and section are required');
+  }
+  return { ...buildCohortMatch({ semester, branch, batchYear }), section: String(section).trim().toUpperCase() };
+};
+
+module.exports = {
+  USN_PATTERN,
+  cohortFieldsFromUsn,
+  BRANCH_CODE_PATTERN,
+  normalizeBranch,
+  buildCohortMatch,
+  buildMentorAssignmentMatch
+};
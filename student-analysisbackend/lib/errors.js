@@ -0,0 +1,9 @@
+// Errors thrown by helpers carry the HTTP status the route should answer with
+const badRequest = (message, details) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.details = details;
+  return error;
+};
+
+module.exports = { badRequest };
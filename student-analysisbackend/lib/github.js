@@ -0,0 +1,147 @@
+const axios = require('axios');
+
+// GitHub API configuration (token is optional but required for contribution counts)
+const GITHUB_API_BASE_URL = process.env.GITHUB_API_BASE_URL || 'https://api.github.com';
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+
+// GitHub API helpers
+const githubHeaders = () => ({
+  'User-Agent': 'Student-Analysis-System',
+  'Accept': 'application/vnd.github+json',
+  ...(GITHUB_TOKEN ? { 'Authorization': `Bearer ${GITHUB_TOKEN}` } : {})
+});
+
+// Page through every public repository of a user
+const fetchAllGitHubRepos = async (username) => {
+  const repos = [];
+  let page = 1;
+
+  while (true) {
+    const response = await axios.get(`${GITHUB_API_BASE_URL}/users/${username}/repos`, {
+      params: { per_page: 100, page, sort: 'updated' },
+      timeout: 10000,
+      headers: githubHeaders()
+    });
+
+    repos.push(...response.data);
+    if (response.data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return repos;
+};
+
+// Sum per-language byte counts across repositories (forks are skipped); returns the stats and their source
+const fetchGitHubLanguageStats = async (repos) => {
+  const totals = {};
+  const ownRepos = repos.filter(repo => !repo.fork);
+  const batchSize = 5;
+
+  if (!GITHUB_TOKEN) {
+    // One /languages call per repository would exhaust the unauthenticated limit (60 requests an hour), so
+    // count repositories by their primary language instead; there are no byte counts to report
+    ownRepos.filter(repo => repo.language).forEach(repo => {
+      totals[repo.language] = (totals[repo.language] || 0) + 1;
+    });
+    const languageStats = Object.entries(totals)
+      .map(([name, count]) => ({ name, bytes: null, repos: count }))
+      .sort((a, b) => b.repos - a.repos);
+    return { languageStats, source: 'primary-language' };
+  }
+
+  for (let i = 0; i < ownRepos.length; i += batchSize) {
+    const batch = ownRepos.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(repo =>
+      axios.get(`${GITHUB_API_BASE_URL}/repos/${repo.owner.login}/${repo.name}/languages`, {
+        timeout: 10000,
+        headers: githubHeaders()
+      })
+    ));
+
+    results.forEach(result => {
+      Object.entries(result.data || {}).forEach(([language, bytes]) => {
+        totals[language] = (totals[language] || 0) + bytes;
+      });
+    });
+  }
+
+  const languageStats = Object.entries(totals)
+    .map(([name, bytes]) => ({ name, bytes }))
+    .sort((a, b) => b.bytes - a.bytes);
+  return { languageStats, source: 'languages-api' };
+};
+
+// Total contributions over the last year from the contributions calendar (GraphQL needs a token)
+const fetchGitHubContributions = async (username) => {
+  if (!GITHUB_TOKEN) {
+    console.warn('⚠️ GITHUB_TOKEN not set, skipping contribution count');
+    return null;
+  }
+
+  const response = await axios.post(`${GITHUB_API_BASE_URL}/graphql`, {
+    query: `
+      query userContributions($login: String!) {
+        user(login: $login) {
+          contributionsCollection {
+            contributionCalendar {
+              totalContributions
+            }
+          }
+        }
+      }
+    `,
+    variables: { login: username }
+  }, {
+    timeout: 10000,
+    headers: githubHeaders()
+  });
+
+  if (response.data.errors?.length) {
+    throw new Error(response.data.errors[0].message);
+  }
+
+  return response.data.data?.user?.contributionsCollection?.contributionCalendar?.totalContributions ?? null;
+};
+
+// Fetch a GitHub profile and map it onto the studentSchema.github fields
+const fetchGitHubProfile = async (username) => {
+  const userResponse = await axios.get(`${GITHUB_API_BASE_URL}/users/${username}`, {
+    timeout: 10000,
+    headers: githubHeaders()
+  });
+
+  const repos = await fetchAllGitHubRepos(username);
+  const { languageStats, source: languageStatsSource } = await fetchGitHubLanguageStats(repos);
+  const contributionsLastYear = await fetchGitHubContributions(username);
+
+  const topRepos = [...repos]
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .slice(0, 10)
+    .map(repo => ({
+      name: repo.name,
+      description: repo.description || '',
+      stars: repo.stargazers_count,
+      language: repo.language || 'None',
+      updatedAt: repo.updated_at
+    }));
+
+  return {
+    username: userResponse.data.login,
+    repositories: userResponse.data.public_repos,
+    publicRepos: userResponse.data.public_repos,
+    followers: userResponse.data.followers,
+    following: userResponse.data.following,
+    languages: languageStats.map(language => language.name),
+    languageStats,
+    languageStatsSource,
+    profileUrl: userResponse.data.html_url,
+    avatar: userResponse.data.avatar_url,
+    bio: userResponse.data.bio,
+    contributionsLastYear,
+    topRepos
+  };
+};
+
+module.exports = { fetchGitHubProfile };
@@ -0,0 +1,41 @@
+const { isLLMOutputError } = require('./llmOutput');
+
+// Errors that another attempt cannot fix: missing records, lost uploads, model output that failed its repair retries
+const permanentJobError = (message, details) => {
+  const error = new Error(message);
+  error.retryable = false;
+  error.details = details;
+  return error;
+};
+
+// Milliseconds before a failed job runs again (baseDelayMs, then doubling), or null when it fails for good:
+// permanent errors, model output that failed its repair retries and jobs out of attempts are not retried
+const jobRetryDelay = (job, error, baseDelayMs) => {
+  if (error.retryable === false || isLLMOutputError(error) || job.attempts >= job.maxAttempts) {
+    return null;
+  }
+  return baseDelayMs * 2 ** (job.attempts - 1);
+};
+
+// Update for a job whose worker stopped mid-run (crash, restart, redeploy): back on the queue, or failed
+// when it has no attempts left
+const staleJobUpdate = (job, now = new Date()) => {
+  if (job.attempts < job.maxAttempts) {
+    return {
+      $set: { status: 'queued', runAt: now, 'progress.message': 'Requeued after the worker stopped', updatedAt: now },
+      $unset: { lockedAt: 1 }
+    };
+  }
+  return {
+    $set: {
+      status: 'failed',
+      error: { message: 'The worker stopped while running this job' },
+      'progress.message': 'Failed',
+      completedAt: now,
+      updatedAt: now
+    },
+    $unset: { lockedAt: 1 }
+  };
+};
+
+module.exports = { permanentJobError, jobRetryDelay, staleJobUpdate };
@@ -0,0 +1,88 @@
+const axios = require('axios');
+
+// LeetCode GraphQL API configuration (override to point at a local stand-in server)
+const LEETCODE_API_BASE_URL = process.env.LEETCODE_API_BASE_URL || 'https://leetcode.com';
+
+// LeetCode profile query (public GraphQL API used by leetcode.com profile pages)
+const LEETCODE_PROFILE_QUERY = `
+  query userProfile($username: String!) {
+    matchedUser(username: $username) {
+      username
+      profile {
+        ranking
+      }
+      badges {
+        displayName
+      }
+      submitStatsGlobal {
+        acSubmissionNum {
+          difficulty
+          count
+          submissions
+        }
+        totalSubmissionNum {
+          difficulty
+          count
+          submissions
+        }
+      }
+    }
+    userContestRanking(username: $username) {
+      rating
+      attendedContestsCount
+    }
+  }
+`;
+
+// Fetch a LeetCode profile and map it onto the studentSchema.leetcode fields
+const fetchLeetCodeProfile = async (username) => {
+  const response = await axios.post(`${LEETCODE_API_BASE_URL}/graphql`, {
+    query: LEETCODE_PROFILE_QUERY,
+    variables: { username }
+  }, {
+    timeout: 10000,
+    headers: {
+      'Content-Type': 'application/json',
+      'Referer': `https://leetcode.com/u/${username}/`,
+      'User-Agent': 'Student-Analysis-System'
+    }
+  });
+
+  const { data, errors } = response.data || {};
+  const user = data?.matchedUser;
+
+  // LeetCode answers a missing user with "That user does not exist."; any other error (rate limits, schema
+  // changes) is an upstream failure, not a 404
+  if (!user) {
+    const userMissing = !errors?.length || errors.some(err => /does not exist|not found/i.test(err?.message || ''));
+    const error = new Error(userMissing ? 'LeetCode user not found' : `LeetCode API error: ${errors[0].message}`);
+    error.status = userMissing ? 404 : 502;
+    throw error;
+  }
+
+  const countFor = (list, difficulty) => list?.find(item => item.difficulty === difficulty) || {};
+  const accepted = user.submitStatsGlobal?.acSubmissionNum || [];
+  const total = user.submitStatsGlobal?.totalSubmissionNum || [];
+
+  const acceptedSubmissions = countFor(accepted, 'All').submissions || 0;
+  const totalSubmissions = countFor(total, 'All').submissions || 0;
+  const contest = data.userContestRanking;
+
+  return {
+    username: user.username,
+    totalSolved: countFor(accepted, 'All').count || 0,
+    easySolved: countFor(accepted, 'Easy').count || 0,
+    mediumSolved: countFor(accepted, 'Medium').count || 0,
+    hardSolved: countFor(accepted, 'Hard').count || 0,
+    contestRating: contest?.rating ? Math.round(contest.rating) : null,
+    ranking: user.profile?.ranking || null,
+    badges: (user.badges || []).map(badge => badge.displayName),
+    profileUrl: `https://leetcode.com/u/${user.username}/`,
+    acceptanceRate: totalSubmissions > 0
+      ? parseFloat(((acceptedSubmissions / totalSubmissions) * 100).toFixed(1))
+      : null,
+    submissions: totalSubmissions
+  };
+};
+
+module.exports = { fetchLeetCodeProfile };
@@ -0,0 +1,190 @@
+const Ajv = require('ajv');
+
+// Pull a JSON object out of a model reply that may wrap it in a code fence or prose (throws if none parses)
+const extractJson = (content) => {
+  let jsonContent = content || '{}';
+
+  const jsonMatch = jsonContent.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/);
+  if (jsonMatch) {
+    jsonContent = jsonMatch[1];
+  } else {
+    const jsonStart = jsonContent.indexOf('{');
+    const jsonEnd = jsonContent.lastIndexOf('}') + 1;
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+      jsonContent = jsonContent.slice(jsonStart, jsonEnd);
+    }
+  }
+
+  return JSON.parse(jsonContent);
+};
+
+// LLM output validation: every model response is checked against a JSON schema for its task, and the
+// model is re-prompted with the validation errors until it passes or LLM_MAX_ATTEMPTS is reached
+const LLM_MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+const stringListSchema = { type: 'array', items: { type: 'string' } };
+const nonEmptyStringSchema = { type: 'string', minLength: 1 };
+
+const SOFT_SKILL_KEYS = ['communication', 'teamwork', 'problem_solving', 'leadership', 'adaptability', 'learning_agility', 'initiative', 'professionalism'];
+const CAREER_FITNESS_KEYS = ['technicalRoles', 'managementRoles', 'consultingRoles', 'entrepreneurialRoles'];
+
+const resumeStructureProperties = {
+  skills: stringListSchema,
+  projects: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['title'],
+      properties: { title: nonEmptyStringSchema, description: { type: 'string' } }
+    }
+  },
+  experience: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { company: { type: 'string' }, position: { type: 'string' }, duration: { type: 'string' } }
+    }
+  },
+  education: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { degree: { type: 'string' }, institution: { type: 'string' }, year: { type: ['string', 'number'] } }
+    }
+  }
+};
+
+const LLM_OUTPUT_SCHEMAS = {
+  softSkills: {
+    type: 'object',
+    required: ['skillBreakdown', 'strengths', 'areasForImprovement', 'developmentRecommendations', 'personalityTraits', 'careerFitness', 'detailedAnalysis'],
+    properties: {
+      // A skill is either scored with at least one supporting quote, or flagged as insufficient evidence with no score
+      skillBreakdown: {
+        type: 'object',
+        required: SOFT_SKILL_KEYS,
+        properties: Object.fromEntries(SOFT_SKILL_KEYS.map(skill => [skill, {
+          type: 'object',
+          required: ['score', 'feedback', 'evidence', 'insufficientEvidence'],
+          properties: {
+            score: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
+            feedback: nonEmptyStringSchema,
+            evidence: { type: 'array', items: { type: 'string', minLength: 10 } },
+            insufficientEvidence: { type: 'boolean' }
+          },
+          if: { properties: { insufficientEvidence: { const: true } } },
+          then: { properties: { score: { type: 'null' } } },
+          else: { properties: { score: { type: 'integer' }, evidence: { type: 'array', minItems: 1 } } }
+        }]))
+      },
+      strengths: stringListSchema,
+      areasForImprovement: stringListSchema,
+      developmentRecommendations: stringListSchema,
+      personalityTraits: stringListSchema,
+      careerFitness: {
+        type: 'object',
+        required: CAREER_FITNESS_KEYS,
+        properties: Object.fromEntries(CAREER_FITNESS_KEYS.map(role => [role, { type: 'number', minimum: 1, maximum: 10 }]))
+      },
+      detailedAnalysis: nonEmptyStringSchema
+    }
+  },
+  profileAnalysis: {
+    type: 'object',
+    required: ['strengths', 'weaknesses', 'recommendations', 'overallScore', 'skillGaps', 'careerSuggestions', 'learningPath', 'detailedAnalysis'],
+    properties: {
+      strengths: stringListSchema,
+      weaknesses: stringListSchema,
+      recommendations: stringListSchema,
+      overallScore: { type: 'number', minimum: 0, maximum: 100 },
+      skillGaps: stringListSchema,
+      careerSuggestions: stringListSchema,
+      learningPath: stringListSchema,
+      detailedAnalysis: nonEmptyStringSchema
+    }
+  },
+  resumeStructure: {
+    type: 'object',
+    required: ['skills', 'projects', 'experience', 'education'],
+    properties: resumeStructureProperties
+  },
+  resumeReview: {
+    type: 'object',
+    required: ['skills', 'projects', 'experience', 'education', 'detailedAnalysis'],
+    properties: { ...resumeStructureProperties, detailedAnalysis: nonEmptyStringSchema }
+  },
+  marksStructure: {
+    type: 'object',
+    required: ['subjects'],
+    properties: {
+      subjects: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            code: { type: ['string', 'null'] },
+            name: nonEmptyStringSchema,
+            credits: { type: ['number', 'null'], minimum: 0, maximum: 30 },
+            grade: { type: ['string', 'null'] },
+            score: { type: ['number', 'null'], minimum: 0, maximum: 100 }
+          }
+        }
+      },
+      totalPercentage: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+      sgpa: { type: ['number', 'null'], minimum: 0, maximum: 10 },
+      cgpa: { type: ['number', 'null'], minimum: 0, maximum: 10 },
+      semester: { type: ['integer', 'null'], minimum: 1, maximum: 8 }
+    }
+  }
+};
+
+const LLM_OUTPUT_VALIDATORS = Object.fromEntries(Object.entries(LLM_OUTPUT_SCHEMAS).map(([task, schema]) => [task, ajv.compile(schema)]));
+
+const formatValidationErrors = (errors) => (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+
+// Parse a model reply and check it against the task's schema, then with the optional check(data) for rules
+// a schema cannot express; validationErrors is empty when the output can be used
+const checkLLMOutput = (task, content, check) => {
+  const validate = LLM_OUTPUT_VALIDATORS[task];
+  try {
+    const data = extractJson(content);
+    let validationErrors = validate(data) ? [] : formatValidationErrors(validate.errors);
+    if (validationErrors.length === 0 && check) {
+      validationErrors = check(data);
+    }
+    return { data, validationErrors };
+  } catch (parseError) {
+    return { data: null, validationErrors: [`response is not valid JSON: ${parseError.message}`] };
+  }
+};
+
+// Follow-up turns that show the model its rejected reply and ask for a corrected one
+const repairMessages = (content, validationErrors) => [
+  { role: 'assistant', content },
+  { role: 'user', content: `Your reply did not match the required JSON schema:\n- ${validationErrors.join('\n- ')}\nReply again with ONLY the corrected JSON object.` }
+];
+
+const llmOutputError = ({ task, model, attempts, validationErrors }) => {
+  const error = new Error(`${task} output failed validation after ${attempts} attempts`);
+  error.code = 'LLM_OUTPUT_INVALID';
+  error.task = task;
+  error.model = model;
+  error.attempts = attempts;
+  error.validationErrors = validationErrors;
+  return error;
+};
+
+const isLLMOutputError = (error) => error?.code === 'LLM_OUTPUT_INVALID';
+
+module.exports = {
+  extractJson,
+  LLM_MAX_ATTEMPTS,
+  SOFT_SKILL_KEYS,
+  checkLLMOutput,
+  repairMessages,
+  llmOutputError,
+  isLLMOutputError
+};
@@ -0,0 +1,85 @@
+// Rule-based VTU marks card parser
+const SUBJECT_CODE = '(?:\\d{2}[A-Z]{2,6}\\d{2,3}[A-Z]?|B[A-Z]{2,6}\\d{3}[A-Z]?)';
+// e.g. "21CS51 Automata Theory 45 38 83 P" (internal, external, total, result); an absent external
+// exam is printed as "-" or "AB", e.g. "21CS53 DBMS 38 - 38 A"
+const MARKS_ROW_PATTERN = new RegExp(`^(${SUBJECT_CODE})\\s+(.+?)\\s+(\\d{1,3})\\s+(\\d{1,3}|-|AB)\\s+(\\d{1,3}|-)\\s+(PASS|FAIL|ABSENT|AB|P|F|A|W|X|NE)\\b`, 'i');
+const SUBJECT_ROW_START = new RegExp(`^${SUBJECT_CODE}\\b`, 'i');
+// e.g. "21CS51 Automata Theory 3 A+ 9" (credits, grade, grade points)
+const GRADE_ROW_PATTERN = new RegExp(`^(${SUBJECT_CODE})\\s+(.+?)\\s+(\\d{1,2}(?:\\.\\d)?)\\s+(O|A\\+|A|B\\+|B|C|P|F|AB)\\s+(\\d{1,2})\\b`, 'i');
+const ROMAN_SEMESTERS = { I: 1, II: 2, III: 3, IV: 4, V: 5, VI: 6, VII: 7, VIII: 8 };
+
+const normalizeResult = (result) => {
+  const value = result.toUpperCase();
+  if (value === 'PASS') return 'P';
+  if (value === 'FAIL') return 'F';
+  if (value === 'ABSENT' || value === 'A') return 'AB';
+  return value;
+};
+
+const parseMarksCardText = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/[|]/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const subjects = [];
+  const warnings = [];
+
+  lines.forEach(line => {
+    const marksRow = line.match(MARKS_ROW_PATTERN);
+    if (marksRow) {
+      const absent = /^(-|AB)$/i.test(marksRow[4]);
+      const result = absent ? 'AB' : normalizeResult(marksRow[6]);
+      subjects.push({
+        code: marksRow[1].toUpperCase(),
+        name: marksRow[2],
+        internalMarks: parseInt(marksRow[3]),
+        externalMarks: absent ? null : parseInt(marksRow[4]),
+        score: marksRow[5] === '-' ? null : parseInt(marksRow[5]),
+        result,
+        grade: result === 'F' || result === 'AB' ? result : undefined
+      });
+      return;
+    }
+
+    const gradeRow = line.match(GRADE_ROW_PATTERN);
+    if (gradeRow) {
+      subjects.push({
+        code: gradeRow[1].toUpperCase(),
+        name: gradeRow[2],
+        credits: parseFloat(gradeRow[3]),
+        grade: gradeRow[4].toUpperCase(),
+        gradePoints: parseInt(gradeRow[5])
+      });
+      return;
+    }
+
+    // A subject row we can't read is reported rather than silently missing from the backlog count
+    if (SUBJECT_ROW_START.test(line)) {
+      warnings.push(`Could not read the marks for subject row: "${line}"`);
+    }
+  });
+
+  const semesterMatch = text.match(/semester\s*[:\-]?\s*(\d|VIII|VII|VI|IV|V|III|II|I)(?:st|nd|rd|th)?\b/i);
+  const semester = semesterMatch
+    ? (parseInt(semesterMatch[1]) || ROMAN_SEMESTERS[semesterMatch[1].toUpperCase()] || null)
+    : null;
+  const sgpaMatch = text.match(/SGPA\s*[:\-]?\s*(\d{1,2}(?:\.\d{1,2})?)/i);
+  const usnMatch = text.match(/\b([1-4][A-Z]{2}\d{2}[A-Z]{2,3}\d{3})\b/i);
+
+  const scored = subjects.filter(subject => typeof subject.score === 'number');
+  const totalPercentage = scored.length
+    ? Math.round((scored.reduce((sum, subject) => sum + subject.score, 0) / scored.length) * 100) / 100
+    : null;
+
+  return {
+    usn: usnMatch ? usnMatch[1].toUpperCase() : null,
+    semester: semester >= 1 && semester <= 8 ? semester : null,
+    sgpa: sgpaMatch ? parseFloat(sgpaMatch[1]) : null,
+    totalPercentage,
+    subjects,
+    warnings
+  };
+};
+
+module.exports = { parseMarksCardText };
@@ -0,0 +1,74 @@
+// Placement drive eligibility and application stage rules
+
+const { normalizeBranch } = require('./cohorts');
+
+// Allowed stage moves; interview -> interview is the next round, and an offer can still end as rejected (declined)
+const APPLICATION_TRANSITIONS = {
+  eligible: ['applied', 'rejected'],
+  applied: ['shortlisted', 'rejected'],
+  shortlisted: ['test', 'interview', 'rejected'],
+  test: ['interview', 'rejected'],
+  interview: ['interview', 'offered', 'rejected'],
+  offered: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+const checkDriveEligibility = (drive, student) => {
+  const reasons = [];
+  const { minCgpa, maxBacklogs, semesters = [], branches = [] } = drive.eligibility || {};
+
+  if (semesters.length > 0 && !semesters.includes(student.semester)) {
+    reasons.push(`Semester ${student.semester} is not eligible (open to ${semesters.join(', ')})`);
+  }
+  // Drives saved before branches were normalized can still hold names like CSE
+  if (branches.length > 0 && !branches.map(normalizeBranch).includes(normalizeBranch(student.branch))) {
+    reasons.push(`Branch ${student.branch || 'unknown'} is not eligible (open to ${branches.join(', ')})`);
+  }
+  if (typeof minCgpa === 'number') {
+    const cgpa = student.marks?.cgpa;
+    if (typeof cgpa !== 'number') {
+      reasons.push(`No CGPA on record (minimum ${minCgpa})`);
+    } else if (cgpa < minCgpa) {
+      reasons.push(`CGPA ${cgpa} is below the minimum ${minCgpa}`);
+    }
+  }
+  if (typeof maxBacklogs === 'number') {
+    const backlogs = student.marks?.backlogs;
+    if (typeof backlogs !== 'number') {
+      reasons.push(`No backlog count on record (at most ${maxBacklogs} allowed)`);
+    } else if (backlogs > maxBacklogs) {
+      reasons.push(`${backlogs} backlogs exceeds the maximum of ${maxBacklogs}`);
+    }
+  }
+  return reasons;
+};
+
+// Move an application to a new stage; returns the reason when the move is not allowed
+const advanceApplication = (application, drive, { stage, ctc, note }, user) => {
+  if (!APPLICATION_TRANSITIONS[application.stage].includes(stage)) {
+    return `Cannot move from ${application.stage} to ${stage}`;
+  }
+
+  let interviewRound;
+  if (stage === 'interview') {
+    interviewRound = application.stage === 'interview' ? (application.interviewRound || 1) + 1 : 1;
+    if (interviewRound > drive.interviewRounds) {
+      return `The drive has only ${drive.interviewRounds} interview round(s)`;
+    }
+    application.interviewRound = interviewRound;
+  }
+  if (stage === 'offered') {
+    const offeredCtc = ctc ?? drive.ctc;
+    if (typeof offeredCtc !== 'number') {
+      return 'ctc is required for an offer because the drive has no default CTC';
+    }
+    application.ctc = offeredCtc;
+  }
+
+  application.stage = stage;
+  application.stageHistory.push({ stage, interviewRound, note, changedBy: user._id });
+  return null;
+};
+
+module.exports = { checkDriveEligibility, advanceApplication };
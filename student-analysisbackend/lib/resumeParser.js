@@ -0,0 +1,427 @@
+// Rule-based resume parser: section splitting, skills taxonomy matching and merging with the model's structure
+
+// Skills taxonomy used by the rule-based resume parser (add aliases here as new resumes show them)
+const SKILLS_TAXONOMY = [
+  // Programming languages
+  { name: 'C', category: 'language', aliases: ['C'], caseSensitive: true },
+  { name: 'C++', category: 'language', aliases: ['C++', 'CPP'] },
+  { name: 'C#', category: 'language', aliases: ['C#', 'C Sharp'] },
+  { name: 'Java', category: 'language', aliases: ['Java', 'Core Java'] },
+  { name: 'Python', category: 'language', aliases: ['Python', 'Python3'] },
+  { name: 'JavaScript', category: 'language', aliases: ['JavaScript', 'JS', 'ES6'] },
+  { name: 'TypeScript', category: 'language', aliases: ['TypeScript', 'TS'] },
+  { name: 'Go', category: 'language', aliases: ['Golang', 'Go'], caseSensitive: true },
+  { name: 'Rust', category: 'language', aliases: ['Rust'] },
+  { name: 'Kotlin', category: 'language', aliases: ['Kotlin'] },
+  { name: 'Swift', category: 'language', aliases: ['Swift'] },
+  { name: 'PHP', category: 'language', aliases: ['PHP'] },
+  { name: 'Ruby', category: 'language', aliases: ['Ruby'] },
+  { name: 'R', category: 'language', aliases: ['R'], caseSensitive: true },
+  { name: 'MATLAB', category: 'language', aliases: ['MATLAB'] },
+  { name: 'Dart', category: 'language', aliases: ['Dart'] },
+  { name: 'SQL', category: 'language', aliases: ['SQL'] },
+  { name: 'Bash', category: 'language', aliases: ['Bash', 'Shell Scripting', 'Shell'] },
+  { name: 'HTML', category: 'web', aliases: ['HTML', 'HTML5'] },
+  { name: 'CSS', category: 'web', aliases: ['CSS', 'CSS3'] },
+  // Frameworks and libraries
+  { name: 'React', category: 'framework', aliases: ['React', 'React.js', 'ReactJS'] },
+  { name: 'React Native', category: 'framework', aliases: ['React Native'] },
+  { name: 'Angular', category: 'framework', aliases: ['Angular', 'AngularJS'] },
+  { name: 'Vue.js', category: 'framework', aliases: ['Vue', 'Vue.js', 'VueJS'] },
+  { name: 'Next.js', category: 'framework', aliases: ['Next.js', 'NextJS'] },
+  { name: 'Node.js', category: 'framework', aliases: ['Node.js', 'NodeJS', 'Node'] },
+  { name: 'Express', category: 'framework', aliases: ['Express', 'Express.js', 'ExpressJS'] },
+  { name: 'Django', category: 'framework', aliases: ['Django'] },
+  { name: 'Flask', category: 'framework', aliases: ['Flask'] },
+  { name: 'FastAPI', category: 'framework', aliases: ['FastAPI'] },
+  { name: 'Spring Boot', category: 'framework', aliases: ['Spring Boot', 'Spring'] },
+  { name: 'Flutter', category: 'framework', aliases: ['Flutter'] },
+  { name: 'Android', category: 'framework', aliases: ['Android', 'Android SDK'] },
+  { name: 'Tailwind CSS', category: 'framework', aliases: ['Tailwind', 'Tailwind CSS', 'TailwindCSS'] },
+  { name: 'Bootstrap', category: 'framework', aliases: ['Bootstrap'] },
+  { name: 'Redux', category: 'framework', aliases: ['Redux'] },
+  { name: 'GraphQL', category: 'framework', aliases: ['GraphQL'] },
+  { name: 'REST APIs', category: 'concept', aliases: ['REST', 'REST API', 'REST APIs', 'RESTful'] },
+  // Data and ML
+  { name: 'Machine Learning', category: 'data', aliases: ['Machine Learning', 'ML'] },
+  { name: 'Deep Learning', category: 'data', aliases: ['Deep Learning'] },
+  { name: 'NLP', category: 'data', aliases: ['NLP', 'Natural Language Processing'] },
+  { name: 'Computer Vision', category: 'data', aliases: ['Computer Vision', 'OpenCV'] },
+  { name: 'TensorFlow', category: 'data', aliases: ['TensorFlow'] },
+  { name: 'PyTorch', category: 'data', aliases: ['PyTorch'] },
+  { name: 'Keras', category: 'data', aliases: ['Keras'] },
+  { name: 'scikit-learn', category: 'data', aliases: ['scikit-learn', 'sklearn', 'Scikit Learn'] },
+  { name: 'Pandas', category: 'data', aliases: ['Pandas'] },
+  { name: 'NumPy', category: 'data', aliases: ['NumPy'] },
+  { name: 'Data Analysis', category: 'data', aliases: ['Data Analysis', 'Data Analytics'] },
+  { name: 'Power BI', category: 'data', aliases: ['Power BI', 'PowerBI'] },
+  { name: 'Tableau', category: 'data', aliases: ['Tableau'] },
+  // Databases
+  { name: 'MySQL', category: 'database', aliases: ['MySQL'] },
+  { name: 'PostgreSQL', category: 'database', aliases: ['PostgreSQL', 'Postgres'] },
+  { name: 'MongoDB', category: 'database', aliases: ['MongoDB', 'Mongo'] },
+  { name: 'SQLite', category: 'database', aliases: ['SQLite'] },
+  { name: 'Oracle', category: 'database', aliases: ['Oracle', 'Oracle DB'] },
+  { name: 'Redis', category: 'database', aliases: ['Redis'] },
+  { name: 'Firebase', category: 'database', aliases: ['Firebase', 'Firestore'] },
+  // Cloud and DevOps
+  { name: 'AWS', category: 'cloud', aliases: ['AWS', 'Amazon Web Services'] },
+  { name: 'Azure', category: 'cloud', aliases: ['Azure', 'Microsoft Azure'] },
+  { name: 'Google Cloud', category: 'cloud', aliases: ['GCP', 'Google Cloud'] },
+  { name: 'Docker', category: 'devops', aliases: ['Docker'] },
+  { name: 'Kubernetes', category: 'devops', aliases: ['Kubernetes', 'K8s'] },
+  { name: 'CI/CD', category: 'devops', aliases: ['CI/CD', 'Jenkins', 'GitHub Actions'] },
+  { name: 'Linux', category: 'devops', aliases: ['Linux', 'Ubuntu'] },
+  { name: 'Git', category: 'tool', aliases: ['Git', 'GitHub', 'GitLab'] },
+  { name: 'Postman', category: 'tool', aliases: ['Postman'] },
+  { name: 'Figma', category: 'tool', aliases: ['Figma'] },
+  { name: 'Jira', category: 'tool', aliases: ['Jira'] },
+  // CS fundamentals
+  { name: 'Data Structures and Algorithms', category: 'fundamentals', aliases: ['Data Structures', 'Algorithms', 'DSA'] },
+  { name: 'Object-Oriented Programming', category: 'fundamentals', aliases: ['OOP', 'OOPS', 'Object Oriented Programming', 'Object-Oriented Programming'] },
+  { name: 'Operating Systems', category: 'fundamentals', aliases: ['Operating Systems'] },
+  { name: 'DBMS', category: 'fundamentals', aliases: ['DBMS', 'Database Management Systems'] },
+  { name: 'Computer Networks', category: 'fundamentals', aliases: ['Computer Networks', 'Networking'] },
+  { name: 'System Design', category: 'fundamentals', aliases: ['System Design'] },
+  { name: 'Embedded Systems', category: 'fundamentals', aliases: ['Embedded Systems', 'Arduino', 'Raspberry Pi'] },
+  { name: 'IoT', category: 'fundamentals', aliases: ['IoT', 'Internet of Things'] },
+  { name: 'Blockchain', category: 'fundamentals', aliases: ['Blockchain', 'Solidity'] },
+  { name: 'Cybersecurity', category: 'fundamentals', aliases: ['Cybersecurity', 'Cyber Security', 'Network Security'] }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aliases this short ("C", "R", "JS") and case-sensitive ones ("Go") also turn up as initials and ordinary words
+const SHORT_ALIAS_LENGTH = 2;
+
+// The lookarounds stop "Java" matching inside "JavaScript" or "C" inside "C++"
+const skillAliasPattern = (skill, aliases) => new RegExp(
+  `(?<![A-Za-z0-9+#.])(?:${aliases.map(escapeRegExp).join('|')})(?![A-Za-z0-9+#]|\\.[A-Za-z])`,
+  skill.caseSensitive ? '' : 'i'
+);
+
+// Two regexes per taxonomy entry: every alias, and only the unambiguous ones (null when there are none)
+const SKILL_MATCHERS = SKILLS_TAXONOMY.map(skill => {
+  const specificAliases = skill.caseSensitive ? [] : skill.aliases.filter(alias => alias.length > SHORT_ALIAS_LENGTH);
+  return {
+    ...skill,
+    pattern: skillAliasPattern(skill, skill.aliases),
+    specificPattern: specificAliases.length ? skillAliasPattern(skill, specificAliases) : null
+  };
+});
+
+// specificOnly skips the short and case-sensitive aliases, for text that isn't a list of skills
+const matchTaxonomySkills = (text, { specificOnly = false } = {}) => SKILL_MATCHERS
+  .filter(skill => {
+    const pattern = specificOnly ? skill.specificPattern : skill.pattern;
+    return Boolean(pattern && pattern.test(text));
+  })
+  .map(skill => skill.name);
+
+// Map a free-text skill onto its taxonomy name when one matches exactly
+const canonicalSkillName = (skill) => {
+  const value = String(skill).trim();
+  const match = SKILLS_TAXONOMY.find(entry => entry.aliases.some(alias => alias.toLowerCase() === value.toLowerCase()));
+  return match ? match.name : value;
+};
+
+// Rule-based resume parser
+const RESUME_SECTION_HEADINGS = {
+  skills: ['skills', 'technical skills', 'key skills', 'skill set', 'core competencies', 'technologies', 'tools and technologies', 'technical proficiency'],
+  projects: ['projects', 'academic projects', 'personal projects', 'key projects', 'project work', 'project experience'],
+  experience: ['experience', 'work experience', 'professional experience', 'internships', 'internship', 'internship experience', 'employment history', 'work history'],
+  education: ['education', 'academic background', 'academic qualifications', 'educational qualifications', 'qualifications', 'academic details'],
+  certifications: ['certifications', 'certificates', 'certification', 'courses', 'licenses and certifications', 'courses and certifications'],
+  other: ['summary', 'profile', 'objective', 'career objective', 'about me', 'achievements', 'awards', 'hobbies', 'interests', 'languages', 'contact', 'declaration', 'extracurricular activities', 'extra curricular activities', 'positions of responsibility', 'publications', 'references', 'personal details', 'activities']
+};
+
+const BULLET_PATTERN = /^[\s•●▪◦➢►✓✔\-*–·]+/;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_POINT = `(?:${MONTH}\\s*[',]?\\s*\\d{2,4}|\\d{1,2}[/.-]\\d{4}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE_POINT})\\s*(?:-|–|—|to|till|until)\\s*(${DATE_POINT}|present|current|now|ongoing|till date)`, 'i');
+const DEGREE_PATTERN = /\b(b\.?\s?e\b\.?|b\.?\s?tech|bachelor[^,|]*|m\.?\s?tech|master[^,|]*|m\.?\s?s\b|mba|mca|bca|ph\.?\s?d|diploma[^,|]*|pre[- ]university[^,|]*|puc|12th|10th|class\s*(?:xii|x|12|10)|sslc|hsc|ssc|cbse|icse)/i;
+const INSTITUTION_PATTERN = /(university|college|institute|school|academy|vidyalaya|vidyapeeth|\biit\b|\bnit\b)/i;
+const COMPANY_PATTERN = /(pvt|ltd|limited|inc\b|llp|corp|technologies|solutions|labs|systems|software|services|consulting|private)/i;
+
+const normalizeHeading = (line) => line
+  .replace(BULLET_PATTERN, '')
+  .replace(/[:|]+\s*$/, '')
+  .replace(/&/g, 'and')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const detectSectionHeading = (line) => {
+  if (line.length > 45) return null;
+  const heading = normalizeHeading(line);
+  const section = Object.keys(RESUME_SECTION_HEADINGS).find(name => RESUME_SECTION_HEADINGS[name].includes(heading));
+  return section || null;
+};
+
+const splitResumeSections = (text) => {
+  const sections = { header: [] };
+  let current = 'header';
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) return;
+
+    // "Skills: Python, Java" puts a heading and its content on one line ("Languages: C, Java" inside
+    // a skills section is a sub-heading, so inline headings never switch to an "other" section)
+    const inlineHeading = line.match(/^([A-Za-z &]{3,40}):\s*(.+)$/);
+    const inlineSection = inlineHeading && detectSectionHeading(inlineHeading[1]);
+    const heading = detectSectionHeading(line) || (inlineSection !== 'other' && inlineSection);
+
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      if (!detectSectionHeading(line) && inlineHeading) {
+        sections[current].push(inlineHeading[2]);
+      }
+      return;
+    }
+    sections[current].push(line);
+  });
+
+  return sections;
+};
+
+const parseDatePoint = (value) => {
+  const text = value.toLowerCase().trim();
+  if (/present|current|now|ongoing|till date/.test(text)) return null;
+
+  const monthYear = text.match(new RegExp(`(${MONTH})\\s*[',]?\\s*(\\d{2,4})`));
+  if (monthYear) {
+    const month = MONTH_NAMES.indexOf(monthYear[1].slice(0, 3)) + 1;
+    const year = monthYear[2].length === 2 ? 2000 + parseInt(monthYear[2]) : parseInt(monthYear[2]);
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  const numeric = text.match(/(\d{1,2})[/.-](\d{4})/);
+  if (numeric) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+
+  const year = text.match(/\d{4}/);
+  return year ? year[0] : null;
+};
+
+const parseDateRange = (line) => {
+  const match = line.match(DATE_RANGE_PATTERN);
+  if (!match) return null;
+  return {
+    raw: match[0],
+    start: parseDatePoint(match[1]),
+    end: parseDatePoint(match[2]),
+    current: /present|current|now|ongoing|till date/i.test(match[2])
+  };
+};
+
+// Group section lines into entries: a plain line after bullet lines starts a new entry
+const groupEntries = (lines) => {
+  const entries = [];
+  let current = null;
+  let previousWasBullet = false;
+
+  lines.forEach(line => {
+    const isBullet = BULLET_PATTERN.test(line);
+    if (!current || (!isBullet && previousWasBullet)) {
+      current = { headerLines: [], bulletLines: [] };
+      entries.push(current);
+    }
+    if (isBullet) {
+      current.bulletLines.push(line.replace(BULLET_PATTERN, '').trim());
+    } else {
+      current.headerLines.push(line);
+    }
+    previousWasBullet = isBullet;
+  });
+
+  return entries;
+};
+
+const splitHeaderParts = (line) => line
+  .split(/\s+(?:at|@)\s+|\s*[|,]\s*|\s+[-–—]\s+/i)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+const parseExperienceEntries = (lines) => groupEntries(lines).map(entry => {
+  const allLines = entry.headerLines.concat(entry.bulletLines);
+  const dates = allLines.map(parseDateRange).find(Boolean);
+  const headerText = entry.headerLines.map(line => (dates ? line.replace(dates.raw, '') : line).trim()).filter(Boolean);
+  const firstLine = headerText[0] || '';
+  const parts = splitHeaderParts(firstLine);
+
+  let position = parts[0] || '';
+  let company = parts[1] || headerText[1] || '';
+  if (/\s+(?:at|@)\s+/i.test(firstLine) === false && COMPANY_PATTERN.test(position) && !COMPANY_PATTERN.test(company)) {
+    [position, company] = [company, position];
+  }
+
+  return {
+    position,
+    company,
+    duration: dates ? dates.raw : '',
+    startDate: dates?.start || null,
+    endDate: dates?.end || null,
+    current: dates?.current || false,
+    description: entry.bulletLines.join(' ')
+  };
+}).filter(entry => entry.position || entry.company);
+
+const parseProjectEntries = (lines) => groupEntries(lines).map(entry => {
+  const allText = entry.headerLines.concat(entry.bulletLines).join(' ');
+  const dates = parseDateRange(allText);
+  const titleLine = (entry.headerLines[0] || entry.bulletLines[0] || '').replace(dates?.raw || '', '');
+  const title = titleLine.split(/\s*[|:]\s*|\s+[-–—]\s+/)[0].trim();
+  const description = entry.headerLines.slice(1).concat(entry.bulletLines).join(' ').trim();
+
+  return {
+    title,
+    description,
+    technologies: matchTaxonomySkills(allText)
+  };
+}).filter(project => project.title);
+
+const parseEducationEntries = (lines) => {
+  const entries = [];
+  let current = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(BULLET_PATTERN, '').trim();
+    const degreeMatch = line.match(DEGREE_PATTERN);
+
+    if (degreeMatch && (!current || current.degree)) {
+      current = { degree: '', institution: '', year: '' };
+      entries.push(current);
+    }
+    if (!current) {
+      current = { degree: '', institution: '', year: '' };
+      entries.push(current);
+    }
+
+    splitHeaderParts(line).forEach(part => {
+      if (!current.degree && DEGREE_PATTERN.test(part)) {
+        current.degree = part;
+      } else if (!current.institution && INSTITUTION_PATTERN.test(part)) {
+        current.institution = part;
+      }
+    });
+
+    const dates = parseDateRange(line);
+    const years = line.match(/\b(19|20)\d{2}\b/g);
+    if (dates) {
+      current.year = dates.raw;
+    } else if (years && !current.year) {
+      current.year = years[years.length - 1];
+    }
+  });
+
+  return entries.filter(entry => entry.degree || entry.institution);
+};
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+// Deterministically parse resume text into the studentSchema.resume structure with per-field confidence
+const parseResumeText = (text) => {
+  const sections = splitResumeSections(text || '');
+  const sectionNames = Object.keys(sections).filter(name => name !== 'header' && name !== 'other');
+
+  const sectionSkills = sections.skills ? matchTaxonomySkills(sections.skills.join('\n')) : [];
+  // Elsewhere short aliases only count in the projects section, so a name like "Ritvik R" adds no "R"
+  const projectSkills = sections.projects ? matchTaxonomySkills(sections.projects.join('\n')) : [];
+  const foundElsewhere = new Set(projectSkills.concat(matchTaxonomySkills(text || '', { specificOnly: true })));
+  const otherSkills = SKILLS_TAXONOMY
+    .map(skill => skill.name)
+    .filter(skill => foundElsewhere.has(skill) && !sectionSkills.includes(skill));
+  const skills = sectionSkills.concat(otherSkills);
+
+  const projects = sections.projects ? parseProjectEntries(sections.projects) : [];
+  const experience = sections.experience ? parseExperienceEntries(sections.experience) : [];
+  const education = sections.education ? parseEducationEntries(sections.education) : [];
+  const certifications = sections.certifications
+    ? sections.certifications.map(line => line.replace(BULLET_PATTERN, '').trim()).filter(Boolean).slice(0, 30)
+    : [];
+
+  return {
+    skills,
+    projects,
+    experience,
+    education,
+    certifications,
+    sections: sectionNames,
+    confidence: {
+      skills: skills.length ? roundConfidence((sectionSkills.length * 0.9 + otherSkills.length * 0.6) / skills.length) : 0,
+      projects: roundConfidence(average(projects.map(project => 0.6 + (project.description ? 0.2 : 0) + (project.technologies.length ? 0.1 : 0)))),
+      experience: roundConfidence(average(experience.map(entry => 0.5 + (entry.duration ? 0.2 : 0) + (entry.company ? 0.15 : 0) + (entry.position ? 0.15 : 0)))),
+      education: roundConfidence(average(education.map(entry => 0.4 + (entry.degree ? 0.2 : 0) + (entry.institution ? 0.2 : 0) + (entry.year ? 0.2 : 0)))),
+      certifications: certifications.length ? 0.8 : 0
+    }
+  };
+};
+
+// Items the LLM adds on top of the parser are trusted less than parsed ones
+const LLM_ITEM_CONFIDENCE = 0.5;
+
+// Merge LLM output into the parser baseline: parsed items win, the LLM only fills gaps and adds new items
+const mergeResumeStructures = (baseline, llmStructure) => {
+  const keyFor = {
+    skills: item => canonicalSkillName(item).toLowerCase(),
+    projects: item => (item?.title || '').toLowerCase(),
+    experience: item => (item?.company || item?.position || '').toLowerCase(),
+    education: item => (item?.institution || item?.degree || '').toLowerCase()
+  };
+
+  const merged = {};
+  const confidence = {};
+  const contributions = {};
+
+  Object.keys(keyFor).forEach(field => {
+    const getKey = keyFor[field];
+    const items = baseline[field].map(item => (typeof item === 'string' ? item : { ...item }));
+    const keys = items.map(getKey);
+    let added = 0;
+
+    (llmStructure?.[field] || []).forEach(llmItem => {
+      const key = getKey(llmItem);
+      if (!key) return;
+
+      // Skills must match exactly ("go" is inside "mongodb"); entries also match on a shared prefix like "Chat App"
+      const existingIndex = keys.findIndex(existing => existing === key ||
+        (field !== 'skills' && existing && (existing.includes(key) || key.includes(existing))));
+      if (existingIndex === -1) {
+        items.push(field === 'skills' ? canonicalSkillName(llmItem) : llmItem);
+        keys.push(key);
+        added++;
+      } else if (field !== 'skills') {
+        // Fill only the blanks the parser left on a matching entry
+        Object.entries(llmItem || {}).forEach(([prop, value]) => {
+          if (value && !items[existingIndex][prop]) {
+            items[existingIndex][prop] = value;
+          }
+        });
+      }
+    });
+
+    const parsedCount = baseline[field].length;
+    merged[field] = items;
+    contributions[field] = { parser: parsedCount, llm: added };
+    confidence[field] = items.length
+      ? roundConfidence((parsedCount * baseline.confidence[field] + added * LLM_ITEM_CONFIDENCE) / items.length)
+      : 0;
+  });
+  confidence.certifications = baseline.confidence.certifications;
+
+  return { structure: merged, confidence, contributions };
+};
+
+module.exports = {
+  escapeRegExp,
+  matchTaxonomySkills,
+  canonicalSkillName,
+  parseResumeText,
+  mergeResumeStructures
+};
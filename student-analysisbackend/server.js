@@ -9,17 +9,67 @@ const axios = require('axios');
 const fs = require('fs');
 const Groq = require('groq-sdk');
 const dotenv = require('dotenv');
+const crypto = require('crypto');
+const session = require('express-session');
+const passport = require('passport');
+const LocalStrategy = require('passport-local').Strategy;
+const LinkedInStrategy = require('passport-linkedin-oauth2').Strategy;
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const nodemailer = require('nodemailer');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { createWorker } = require('tesseract.js');
+const tesseractEnglish = require('@tesseract.js-data/eng');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
 
 // Load environment variables
 dotenv.config();
 
+// Local modules read their configuration from the environment, so they load after dotenv
+const { fetchLeetCodeProfile } = require('./lib/leetcode');
+const { fetchGitHubProfile } = require('./lib/github');
+const { toNumberOrNull, normalizeSubjectMarks, computeSemesterGpa, computeCgpa } = require('./lib/academics');
+const { parseMarksCardText } = require('./lib/marksCardParser');
+const {
+  escapeRegExp,
+  matchTaxonomySkills,
+  canonicalSkillName,
+  parseResumeText,
+  mergeResumeStructures
+} = require('./lib/resumeParser');
+const {
+  LLM_MAX_ATTEMPTS,
+  SOFT_SKILL_KEYS,
+  checkLLMOutput,
+  repairMessages,
+  llmOutputError,
+  isLLMOutputError
+} = require('./lib/llmOutput');
+const { permanentJobError, jobRetryDelay, staleJobUpdate } = require('./lib/jobs');
+const { badRequest } = require('./lib/errors');
+const {
+  USN_PATTERN,
+  cohortFieldsFromUsn,
+  BRANCH_CODE_PATTERN,
+  normalizeBranch,
+  buildCohortMatch,
+  buildMentorAssignmentMatch
+} = require('./lib/cohorts');
+const { checkDriveEligibility, advanceApplication } = require('./lib/placements');
+
 // Initialize express app
 const app = express();
 const port =3000; // FIXED: Changed to 3000 to match client
 
 // Middleware
 app.use(cors({
-  origin: '*', 
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*',
   credentials: true
 }));
 
@@ -44,11 +94,205 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET 
 });
 
-// Groq configuration
-const groq = new Groq({
-  apiKey:process.env.GROQ_API_KEY
+// LLM provider configuration
+// LLM_PROVIDER selects the backend: groq (default), openai (any OpenAI-compatible server such as
+// llama.cpp or Ollama, at OPENAI_BASE_URL) or fixture (replays saved responses, for offline runs and CI)
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+const LLM_MODEL = process.env.LLM_MODEL || 'openai/gpt-oss-20b';
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+const LLM_RECORD_FIXTURES_DIR = process.env.LLM_RECORD_FIXTURES_DIR;
+
+// Defaults per analysis task; each can be overridden with LLM_<TASK>_MODEL, LLM_<TASK>_TEMPERATURE
+// and LLM_<TASK>_MAX_TOKENS (e.g. LLM_SOFT_SKILLS_MAX_TOKENS=3000)
+const LLM_TASKS = {
+  softSkills: { temperature: 0.3, maxTokens: 2000 },
+  profileAnalysis: { temperature: 0.3, maxTokens: 1500 },
+  resumeStructure: { temperature: 0, maxTokens: 1000 },
+  resumeReview: { temperature: 0.3, maxTokens: 1500 },
+  marksStructure: { temperature: 0, maxTokens: 800 }
+};
+
+const getLLMTaskConfig = (task) => {
+  const defaults = LLM_TASKS[task];
+  if (!defaults) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const prefix = `LLM_${task.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_`;
+  const temperature = parseFloat(process.env[`${prefix}TEMPERATURE`]);
+  const maxTokens = parseInt(process.env[`${prefix}MAX_TOKENS`]);
+
+  return {
+    model: process.env[`${prefix}MODEL`] || LLM_MODEL,
+    temperature: Number.isNaN(temperature) ? defaults.temperature : temperature,
+    maxTokens: Number.isNaN(maxTokens) ? defaults.maxTokens : maxTokens
+  };
+};
+
+// Fixtures are keyed by task and a hash of the prompt, so a replay returns exactly what was recorded
+const llmFixtureKey = (messages) => crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+
+// Every provider exposes complete({ task, messages, model, temperature, maxTokens }) -> { content, model }
+const createGroqProvider = () => {
+  const groq = new Groq({
+    apiKey: process.env.GROQ_API_KEY
+  });
+
+  return {
+    name: 'groq',
+    complete: async ({ messages, model, temperature, maxTokens }) => {
+      const response = await groq.chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens,
+      });
+      return { content: response.choices[0]?.message?.content || '', model: response.model || model };
+    }
+  };
+};
+
+const createOpenAICompatibleProvider = (baseUrl, apiKey) => ({
+  name: 'openai',
+  complete: async ({ messages, model, temperature, maxTokens }) => {
+    const response = await axios.post(`${baseUrl}/chat/completions`, {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout: 120000
+    });
+    return { content: response.data.choices?.[0]?.message?.content || '', model: response.data.model || model };
+  }
+});
+
+// Looks for <dir>/<task>/<prompt hash>.json first, then the task's default <dir>/<task>.json
+const createFixtureProvider = (dir) => ({
+  name: 'fixture',
+  complete: async ({ task, messages }) => {
+    const candidates = [
+      path.join(dir, task, `${llmFixtureKey(messages)}.json`),
+      path.join(dir, `${task}.json`)
+    ];
+    const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!fixturePath) {
+      throw new Error(`No LLM fixture for task "${task}" (looked for ${candidates.join(', ')})`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return {
+      content: typeof fixture.content === 'string' ? fixture.content : JSON.stringify(fixture.content),
+      model: fixture.model || 'fixture'
+    };
+  }
+});
+
+// Save every response of a live provider as a fixture the fixture provider can replay
+const withFixtureRecording = (provider, dir) => ({
+  name: provider.name,
+  complete: async (request) => {
+    const result = await provider.complete(request);
+    try {
+      const taskDir = path.join(dir, request.task);
+      fs.mkdirSync(taskDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(taskDir, `${llmFixtureKey(request.messages)}.json`),
+        JSON.stringify({ task: request.task, model: result.model, messages: request.messages, content: result.content }, null, 2)
+      );
+    } catch (error) {
+      console.error('Error recording LLM fixture:', error.message);
+    }
+    return result;
+  }
 });
 
+const createLLMProvider = () => {
+  let provider;
+  if (LLM_PROVIDER === 'openai') {
+    provider = createOpenAICompatibleProvider(OPENAI_BASE_URL, process.env.OPENAI_API_KEY);
+  } else if (LLM_PROVIDER === 'fixture') {
+    provider = createFixtureProvider(LLM_FIXTURES_DIR);
+  } else if (LLM_PROVIDER === 'groq') {
+    provider = createGroqProvider();
+  } else {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected groq, openai or fixture)`);
+  }
+
+  return LLM_RECORD_FIXTURES_DIR ? withFixtureRecording(provider, LLM_RECORD_FIXTURES_DIR) : provider;
+};
+
+const llm = createLLMProvider();
+
+// Client-side rate limit shared by every LLM call, so batch runs stay under the provider's quota
+// (LLM_REQUESTS_PER_MINUTE, 0 = unlimited); 429 responses are retried after the provider's Retry-After
+const LLM_REQUESTS_PER_MINUTE = parseInt(process.env.LLM_REQUESTS_PER_MINUTE || '0');
+const LLM_RATE_LIMIT_RETRIES = parseInt(process.env.LLM_RATE_LIMIT_RETRIES || '3');
+let nextLLMRequestAt = 0;
+
+const waitForLLMSlot = async () => {
+  if (!(LLM_REQUESTS_PER_MINUTE > 0)) return;
+  const now = Date.now();
+  const slot = Math.max(now, nextLLMRequestAt);
+  nextLLMRequestAt = slot + 60000 / LLM_REQUESTS_PER_MINUTE;
+  if (slot > now) {
+    await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+};
+
+// Milliseconds to wait before retrying a rate-limited call, or null when the error is not a 429
+const llmRateLimitDelay = (error, attempt) => {
+  const status = error?.status ?? error?.response?.status;
+  if (status !== 429) return null;
+  const headers = error.headers || error.response?.headers || {};
+  const retryAfter = parseFloat(typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  return retryAfter > 0 ? retryAfter * 1000 : 2000 * 2 ** attempt;
+};
+
+// Run one analysis task with its configured model, temperature and token limit
+const runLLMTask = async (task, messages) => {
+  const config = getLLMTaskConfig(task);
+  for (let attempt = 0; ; attempt++) {
+    await waitForLLMSlot();
+    try {
+      const result = await llm.complete({ task, messages, ...config });
+      return { content: result.content, model: result.model, provider: llm.name };
+    } catch (error) {
+      const delay = llmRateLimitDelay(error, attempt);
+      if (delay === null || attempt >= LLM_RATE_LIMIT_RETRIES) throw error;
+      console.warn(`⏳ LLM rate limited on ${task}, retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// Run a task and return its parsed, schema-valid JSON; throws an error with code LLM_OUTPUT_INVALID
+// (plus validationErrors and attempts) when the model never produces a valid response. The optional
+// check(data) returns extra error messages for rules a schema cannot express
+const runValidatedLLMTask = async (task, messages, check) => {
+  const conversation = [...messages];
+  let validationErrors = [];
+  let model;
+
+  for (let attempt = 1; attempt <= LLM_MAX_ATTEMPTS; attempt++) {
+    const result = await runLLMTask(task, conversation);
+    model = result.model;
+
+    const output = checkLLMOutput(task, result.content, check);
+    validationErrors = output.validationErrors;
+    if (validationErrors.length === 0) {
+      return { data: output.data, model, provider: result.provider, attempts: attempt };
+    }
+
+    console.warn(`⚠️ ${task} output failed validation (attempt ${attempt}/${LLM_MAX_ATTEMPTS}):`, validationErrors);
+    conversation.push(...repairMessages(result.content, validationErrors));
+  }
+
+  throw llmOutputError({ task, model, attempts: LLM_MAX_ATTEMPTS, validationErrors });
+};
+
 // App.py API configuration
 const APP_PY_BASE_URL = 'http://localhost:5001';
 
@@ -58,10 +302,31 @@ mongoose.connect(process.env.MONGO_URI, {
   useUnifiedTopology: true 
 }).then(() => {
   console.log('✅ MongoDB connected successfully');
+  return Promise.all([
+    seedAdminUser(),
+    seedSoftSkillsQuestions(),
+    seedSoftSkillsRubric(),
+    backfillStudentCohortFields(),
+    loadReadinessConfig().then(recomputeStaleReadiness),
+    startJobWorker()
+  ]);
 }).catch(err => {
   console.error('❌ MongoDB connection error:', err);
 });
 
+// Subject-level marks as printed on a VTU marks card
+const subjectMarksSchema = new mongoose.Schema({
+  code: String,
+  name: String,
+  credits: Number,
+  grade: String,
+  gradePoints: Number,
+  internalMarks: Number,
+  externalMarks: Number,
+  score: Number,
+  result: String
+});
+
 // Enhanced MongoDB Schema with LeetCode and Soft Skills
 const studentSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -71,6 +336,12 @@ const studentSchema = new mongoose.Schema({
   githubUrl: String,
   leetcodeUrl: String,
   semester: { type: Number, required: true, enum: [1, 2, 3, 4, 5, 6, 7, 8] },
+  // Derived from the USN when not set (see cohortFieldsFromUsn)
+  batchYear: Number,
+  branch: { type: String, uppercase: true, trim: true },
+  section: { type: String, uppercase: true, trim: true },
+  // Faculty mentor; set through the mentor assignment endpoints only
+  mentor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   
   github: {
     username: String,
@@ -79,6 +350,14 @@ const studentSchema = new mongoose.Schema({
     followers: Number,
     following: Number,
     languages: [String],
+    // bytes comes from the /languages API; without a GitHub token only each repository's primary language
+    // is known, so bytes is null and repos counts the repositories instead
+    languageStats: [{
+      name: String,
+      bytes: Number,
+      repos: Number
+    }],
+    languageStatsSource: { type: String, enum: ['languages-api', 'primary-language'] },
     profileUrl: String,
     avatar: String,
     bio: String,
@@ -107,13 +386,25 @@ const studentSchema = new mongoose.Schema({
   },
   
   marks: {
-    subjects: [{
-      name: String,
-      score: Number
+    subjects: [subjectMarksSchema],
+    semesters: [{
+      semester: Number,
+      subjects: [subjectMarksSchema],
+      sgpa: Number,
+      totalCredits: Number,
+      creditPoints: Number,
+      earnedCredits: Number,
+      backlogs: Number,
+      totalPercentage: Number,
+      detailedAnalysis: String,
+      filename: String,
+      extractedTextLength: Number,
+      updatedAt: Date
     }],
     totalPercentage: Number,
     cgpa: Number,
     semester: Number,
+    backlogs: Number,
     detailedAnalysis: String,
     filename: String,
     extractedTextLength: Number
@@ -130,6 +421,9 @@ const studentSchema = new mongoose.Schema({
       position: String,
       company: String,
       duration: String,
+      startDate: String,
+      endDate: String,
+      current: Boolean,
       description: String
     }],
     education: [{
@@ -137,6 +431,14 @@ const studentSchema = new mongoose.Schema({
       institution: String,
       year: String
     }],
+    certifications: [String],
+    confidence: {
+      skills: Number,
+      projects: Number,
+      experience: Number,
+      education: Number,
+      certifications: Number
+    },
     detailedAnalysis: String,
     filename: String,
     extractedTextLength: Number
@@ -147,35 +449,51 @@ const studentSchema = new mongoose.Schema({
     skillBreakdown: {
       communication: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       teamwork: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       problem_solving: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       leadership: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       adaptability: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       learning_agility: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       initiative: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       },
       professionalism: {
         score: Number,
-        feedback: String
+        feedback: String,
+        evidence: [String],
+        insufficientEvidence: Boolean
       }
     },
     strengths: [String],
@@ -189,9 +507,12 @@ const studentSchema = new mongoose.Schema({
       entrepreneurialRoles: Number
     },
     detailedAnalysis: String,
+    // Rubric version per skill at the time of scoring (0 = built-in default)
+    rubricVersions: mongoose.Schema.Types.Mixed,
     assessmentDate: Date,
     responses: [{
-      questionId: Number,
+      // Question _id (assessments taken before the question bank used positions 1-5)
+      questionId: mongoose.Schema.Types.Mixed,
       question: String,
       category: String,
       targetSkills: [String],
@@ -210,52 +531,624 @@ const studentSchema = new mongoose.Schema({
     detailedAnalysis: String
   },
   
+  // Placement readiness index (see computeReadiness); kept up to date on save so the list can sort by it
+  readiness: {
+    index: Number,
+    components: {
+      cgpa: Number,
+      leetcode: Number,
+      github: Number,
+      softSkills: Number,
+      resume: Number
+    },
+    missingComponents: [String],
+    configVersion: Number,
+    computedAt: Date
+  },
+  
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-// Update the updatedAt field before saving
-studentSchema.pre('save', function(next) {
+studentSchema.index({ semester: 1, 'readiness.index': -1 });
+
+// Update the updatedAt field and the readiness index before saving
+studentSchema.pre('save', async function() {
   this.updatedAt = new Date();
+  this.readiness = computeReadiness(this, await loadReadinessConfig());
+});
+
+// Fill batch year and branch from the USN when they were not given explicitly
+studentSchema.pre('save', function(next) {
+  const derived = cohortFieldsFromUsn(this.usn);
+  if (!this.batchYear && derived.batchYear) {
+    this.batchYear = derived.batchYear;
+  }
+  if (!this.branch && derived.branch) {
+    this.branch = derived.branch;
+  }
   next();
 });
 
 const Student = mongoose.model('Student', studentSchema);
 
-// Soft Skills Assessment Questions
-const SOFT_SKILLS_QUESTIONS = [
+// Set batch year and branch on students saved before those fields existed
+const backfillStudentCohortFields = async () => {
+  const students = await Student.find({ batchYear: { $exists: false } }, { usn: 1 });
+  const updates = students
+    .map(student => ({ id: student._id, fields: cohortFieldsFromUsn(student.usn) }))
+    .filter(update => update.fields.batchYear)
+    .map(update => ({ updateOne: { filter: { _id: update.id }, update: { $set: update.fields } } }));
+  if (updates.length === 0) {
+    return;
+  }
+  await Student.bulkWrite(updates);
+  console.log(`✅ Set batch year and branch for ${updates.length} students`);
+};
+
+// User accounts and roles
+const USER_ROLES = ['admin', 'faculty', 'placement_officer', 'student'];
+const STAFF_ROLES = ['admin', 'faculty', 'placement_officer'];
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: String,
+  linkedinId: { type: String, unique: true, sparse: true },
+  role: { type: String, enum: USER_ROLES, default: 'student' },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+  pendingStudentLink: {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    otpHash: String,
+    expiresAt: Date,
+    attempts: Number
+  },
+  lastLoginAt: Date,
+  // Carried in every issued JWT; logging out increments it, which revokes all earlier tokens
+  tokenVersion: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Never expose the password hash in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    if (ret.pendingStudentLink) {
+      delete ret.pendingStudentLink.otpHash;
+    }
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Analysis history: every analysis run is kept as an immutable snapshot
+const SNAPSHOT_TYPES = ['analysis', 'softSkills', 'marks', 'resume'];
+
+const analysisSnapshotSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  type: { type: String, enum: SNAPSHOT_TYPES, required: true },
+  // Failed runs keep the validation errors instead of an output
+  status: { type: String, enum: ['completed', 'failed'], default: 'completed' },
+  semester: Number,
+  inputSummary: mongoose.Schema.Types.Mixed,
+  model: String,
+  output: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    validationErrors: [String],
+    attempts: Number
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+analysisSnapshotSchema.index({ student: 1, type: 1, createdAt: -1 });
+
+const AnalysisSnapshot = mongoose.model('AnalysisSnapshot', analysisSnapshotSchema);
+
+// Soft skills question bank (seeded into the Question collection on first start; manage it via /api/questions)
+const DEFAULT_SOFT_SKILLS_QUESTIONS = [
   {
-    id: 1,
     question: "Describe a challenging project you worked on and how you overcame the obstacles. What did you learn from this experience?",
     category: "Problem Solving & Resilience",
-    skills: ["problem_solving", "resilience", "learning_agility"]
+    targetSkills: ["problem_solving", "learning_agility"],
+    difficulty: "medium"
   },
   {
-    id: 2,
     question: "Tell me about a time when you had to work with a difficult team member or in a challenging team environment. How did you handle the situation?",
     category: "Communication & Teamwork",
-    skills: ["communication", "teamwork", "conflict_resolution"]
+    targetSkills: ["communication", "teamwork"],
+    difficulty: "medium"
   },
   {
-    id: 3,
     question: "Describe a situation where you had to learn a new technology or skill quickly to complete a task or project. What was your approach?",
     category: "Adaptability & Learning",
-    skills: ["adaptability", "learning_agility", "self_motivation"]
+    targetSkills: ["adaptability", "learning_agility"],
+    difficulty: "easy"
   },
   {
-    id: 4,
     question: "Give an example of when you had to take initiative or leadership in a project or situation, even when it wasn't formally assigned to you.",
     category: "Leadership & Initiative",
-    skills: ["leadership", "initiative", "responsibility"]
+    targetSkills: ["leadership", "initiative"],
+    difficulty: "medium"
   },
   {
-    id: 5,
     question: "Describe a time when you received constructive feedback or criticism. How did you respond, and what changes did you make as a result?",
     category: "Growth Mindset & Professionalism",
-    skills: ["growth_mindset", "professionalism", "self_awareness"]
+    targetSkills: ["professionalism", "learning_agility"],
+    difficulty: "easy"
+  },
+  {
+    question: "Tell me about a time you had to explain a technical idea to someone without a technical background. How did you make sure they understood?",
+    category: "Communication",
+    targetSkills: ["communication", "adaptability"],
+    difficulty: "easy"
+  },
+  {
+    question: "Describe a bug or problem that took you a long time to solve. How did you narrow it down, and who did you involve?",
+    category: "Problem Solving",
+    targetSkills: ["problem_solving", "teamwork"],
+    difficulty: "medium"
+  },
+  {
+    question: "Tell me about a time the requirements or plan changed late in a project. What did you change in how you worked?",
+    category: "Adaptability",
+    targetSkills: ["adaptability", "professionalism"],
+    difficulty: "medium"
+  },
+  {
+    question: "Describe a time you led a group that disagreed about how to proceed. How did the group reach a decision?",
+    category: "Leadership & Teamwork",
+    targetSkills: ["leadership", "teamwork", "communication"],
+    difficulty: "hard"
+  },
+  {
+    question: "Tell me about something you improved or started on your own because you saw it was needed, without anyone asking you to.",
+    category: "Initiative",
+    targetSkills: ["initiative", "problem_solving"],
+    difficulty: "easy"
+  },
+  {
+    question: "Describe a time you missed a deadline or made a mistake that affected others. How did you handle it and what did you do afterwards?",
+    category: "Professionalism & Accountability",
+    targetSkills: ["professionalism", "communication"],
+    difficulty: "hard"
+  },
+  {
+    question: "Tell me about a skill outside your coursework that you taught yourself. How did you decide what to learn and how did you measure progress?",
+    category: "Learning Agility & Initiative",
+    targetSkills: ["learning_agility", "initiative"],
+    difficulty: "easy"
+  },
+  {
+    question: "Describe a time you had to divide work within a team with uneven skills or commitment. How did you make sure the work got done?",
+    category: "Leadership & Professionalism",
+    targetSkills: ["leadership", "professionalism", "teamwork"],
+    difficulty: "hard"
+  },
+  {
+    question: "Tell me about a problem where your first solution did not work. How did you change your approach?",
+    category: "Problem Solving & Adaptability",
+    targetSkills: ["problem_solving", "adaptability"],
+    difficulty: "medium"
+  },
+  {
+    question: "Describe a time you volunteered for a responsibility in a club, event or team that others avoided. Why did you take it on and how did it go?",
+    category: "Initiative & Leadership",
+    targetSkills: ["initiative", "leadership"],
+    difficulty: "medium"
+  },
+  {
+    question: "Tell me about a time you had to give a teammate difficult feedback. How did you prepare, and how did they respond?",
+    category: "Communication & Professionalism",
+    targetSkills: ["communication", "professionalism"],
+    difficulty: "hard"
   }
 ];
 
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const questionSchema = new mongoose.Schema({
+  question: { type: String, required: true, trim: true },
+  category: { type: String, required: true, trim: true },
+  targetSkills: {
+    type: [{ type: String, enum: SOFT_SKILL_KEYS }],
+    validate: {
+      validator: skills => skills.length > 0,
+      message: 'At least one target skill is required'
+    }
+  },
+  difficulty: { type: String, enum: QUESTION_DIFFICULTIES, default: 'medium' },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+questionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Question = mongoose.model('Question', questionSchema);
+
+// Soft skills scoring rubric: one descriptor per score band, bands must cover 1-10 (seeded on first start; manage it via /api/rubrics)
+const DEFAULT_SOFT_SKILLS_RUBRIC = {
+  communication: [
+    { minScore: 1, maxScore: 2, descriptor: 'Answer is hard to follow; the situation, actions and outcome are unclear.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Describes what happened but skips key details or mixes up the order of events.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Clear account of the situation and actions; little sign of adapting the message to the listener.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Well structured answer that shows tailoring explanations to the audience and checking understanding.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Concise and precise; gives concrete examples of resolving misunderstandings or persuading others.' }
+  ],
+  teamwork: [
+    { minScore: 1, maxScore: 2, descriptor: 'Describes working alone or blames teammates; no shared goal is visible.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Mentions a team but not their own contribution to it.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Does their assigned part and cooperates when asked.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Actively supports teammates, shares work and handles disagreement constructively.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Improves how the team works together, e.g. resolves conflict or rebalances work, with a clear result.' }
+  ],
+  problem_solving: [
+    { minScore: 1, maxScore: 2, descriptor: 'No identifiable problem or approach is described.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Names the problem but the approach is trial and error or someone else solved it.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Describes a reasonable approach with some reasoning about causes.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Breaks the problem down, compares options and explains why the chosen one worked.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Systematic diagnosis, weighs trade-offs, verifies the fix and prevents recurrence.' }
+  ],
+  leadership: [
+    { minScore: 1, maxScore: 2, descriptor: 'No example of guiding others or taking responsibility for a group outcome.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Held a role or title but the answer shows no actions taken in it.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Coordinated tasks or people when asked to.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Set direction, delegated and kept the group moving through a difficulty.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Led without formal authority, developed others and owned the outcome, including setbacks.' }
+  ],
+  adaptability: [
+    { minScore: 1, maxScore: 2, descriptor: 'Resists or ignores the change described.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Accepted the change but struggled and needed others to adjust.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Adjusted plans or methods once the change was clear.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Adjusted quickly and kept the work on track under changed conditions.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Anticipated the change or turned it into an improvement, and helped others adjust.' }
+  ],
+  learning_agility: [
+    { minScore: 1, maxScore: 2, descriptor: 'No example of learning something new.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Learned only what was directly taught or required.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Learned a new skill for a task using common resources.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Learned quickly with a deliberate approach and applied it successfully.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Seeks out learning, reflects on feedback and transfers lessons to new situations.' }
+  ],
+  initiative: [
+    { minScore: 1, maxScore: 2, descriptor: 'Only acts when told to.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Noticed a problem but waited for someone else to act.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Took on extra work within their own task without being asked.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Started something new or fixed a problem beyond their role, with a visible result.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Repeatedly drives improvements and gets others on board without being asked.' }
+  ],
+  professionalism: [
+    { minScore: 1, maxScore: 2, descriptor: 'Answer shows missed commitments or deflecting responsibility.' },
+    { minScore: 3, maxScore: 4, descriptor: 'Meets commitments inconsistently or only under pressure.' },
+    { minScore: 5, maxScore: 6, descriptor: 'Reliable and respectful in the situation described.' },
+    { minScore: 7, maxScore: 8, descriptor: 'Owns mistakes, communicates early about problems and responds well to feedback.' },
+    { minScore: 9, maxScore: 10, descriptor: 'Holds a high standard consistently and handles difficult feedback or conflict with maturity.' }
+  ]
+};
+
+// Bands must be whole numbers that run from 1 to 10 with no gaps or overlaps
+const rubricLevelsCoverScale = (levels) => {
+  const sorted = [...levels].sort((a, b) => a.minScore - b.minScore);
+  let expectedMin = 1;
+  for (const level of sorted) {
+    if (!Number.isInteger(level.minScore) || !Number.isInteger(level.maxScore) ||
+        level.minScore !== expectedMin || level.maxScore < level.minScore) {
+      return false;
+    }
+    expectedMin = level.maxScore + 1;
+  }
+  return expectedMin === 11;
+};
+
+const softSkillRubricSchema = new mongoose.Schema({
+  skill: { type: String, enum: SOFT_SKILL_KEYS, required: true, unique: true },
+  levels: {
+    type: [{
+      minScore: { type: Number, required: true },
+      maxScore: { type: Number, required: true },
+      descriptor: { type: String, required: true, trim: true }
+    }],
+    validate: {
+      validator: rubricLevelsCoverScale,
+      message: 'Rubric levels must cover scores 1-10 with no gaps or overlaps'
+    }
+  },
+  // Bumped on every edit so an assessment records which rubric it was scored against
+  version: { type: Number, default: 1 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const SoftSkillRubric = mongoose.model('SoftSkillRubric', softSkillRubricSchema);
+
+// Placement readiness weights (one document; edit via PUT /api/readiness/config)
+const READINESS_COMPONENTS = ['cgpa', 'leetcode', 'github', 'softSkills', 'resume'];
+
+const DEFAULT_READINESS_CONFIG = {
+  weights: { cgpa: 0.3, leetcode: 0.25, github: 0.15, softSkills: 0.15, resume: 0.15 },
+  leetcodeDifficultyWeights: { easy: 1, medium: 3, hard: 5 },
+  version: 0
+};
+
+const readinessConfigSchema = new mongoose.Schema({
+  weights: Object.fromEntries(READINESS_COMPONENTS.map(component => [component, { type: Number, min: 0, required: true }])),
+  leetcodeDifficultyWeights: {
+    easy: { type: Number, min: 0, required: true },
+    medium: { type: Number, min: 0, required: true },
+    hard: { type: Number, min: 0, required: true }
+  },
+  // Stored on each student's readiness so stale indexes can be found and recomputed
+  version: { type: Number, default: 1 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+readinessConfigSchema.pre('validate', function(next) {
+  if (!READINESS_COMPONENTS.some(component => this.weights[component] > 0)) {
+    this.invalidate('weights', 'At least one readiness weight must be greater than 0');
+  }
+  next();
+});
+
+const ReadinessConfig = mongoose.model('ReadinessConfig', readinessConfigSchema);
+
+// Background jobs: long-running analyses are queued in Mongo and picked up by the worker (see startJobWorker)
+const JOB_TYPES = ['resumeAnalysis', 'marksAnalysis', 'profileAnalysis', 'softSkillsAnalysis', 'cohortReanalysis'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '7');
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, enum: JOB_TYPES, required: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  // Handler input; uploads are referenced by their GridFS id (see storeJobUpload)
+  payload: mongoose.Schema.Types.Mixed,
+  progress: {
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: 'Queued' }
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    details: mongoose.Schema.Types.Mixed
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  // Earliest time the job may run; pushed back after a failed attempt
+  runAt: { type: Date, default: Date.now },
+  // Refreshed on every progress update; a running job whose lock goes stale is requeued
+  lockedAt: Date,
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are removed by MongoDB after the retention period
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+// Job postings from placement drives; students are ranked against them with POST /api/job-postings/:id/match
+// roleType selects the matching softSkillsAssessment.careerFitness score
+const JOB_ROLE_TYPES = {
+  technical: 'technicalRoles',
+  management: 'managementRoles',
+  consulting: 'consultingRoles',
+  entrepreneurial: 'entrepreneurialRoles'
+};
+
+const jobPostingSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true },
+  description: String,
+  roleType: { type: String, enum: Object.keys(JOB_ROLE_TYPES), default: 'technical' },
+  // Stored under their skills taxonomy names so they compare with parsed resume skills
+  requiredSkills: [{ type: String, trim: true }],
+  minCgpa: { type: Number, min: 0, max: 10 },
+  // Empty means every semester is eligible
+  eligibleSemesters: [{ type: Number, enum: [1, 2, 3, 4, 5, 6, 7, 8] }],
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+jobPostingSchema.pre('save', function(next) {
+  this.requiredSkills = [...new Set(this.requiredSkills.filter(Boolean).map(canonicalSkillName))];
+  this.updatedAt = new Date();
+  next();
+});
+
+const JobPosting = mongoose.model('JobPosting', jobPostingSchema);
+
+// Placement tracking: companies run drives, students apply to drives and move through the stages below
+const APPLICATION_STAGES = ['eligible', 'applied', 'shortlisted', 'test', 'interview', 'offered', 'accepted', 'rejected'];
+const DRIVE_STATUSES = ['upcoming', 'ongoing', 'completed', 'cancelled'];
+
+const companySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  industry: String,
+  website: String,
+  description: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+companySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Company = mongoose.model('Company', companySchema);
+
+const driveSchema = new mongoose.Schema({
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  role: { type: String, required: true, trim: true },
+  // Optional link to the job description students can be matched against
+  jobPosting: { type: mongoose.Schema.Types.ObjectId, ref: 'JobPosting' },
+  driveDate: Date,
+  registrationDeadline: Date,
+  // Package on offer in lakhs per annum; individual offers can differ (Application.ctc)
+  ctc: { type: Number, min: 0 },
+  interviewRounds: { type: Number, min: 1, default: 1 },
+  eligibility: {
+    minCgpa: { type: Number, min: 0, max: 10 },
+    maxBacklogs: { type: Number, min: 0 },
+    // Empty means open to every semester / branch
+    semesters: [{ type: Number, enum: [1, 2, 3, 4, 5, 6, 7, 8] }],
+    // USN branch codes such as CS or IS; CSE, ISE and the like are converted
+    branches: [{
+      type: String,
+      set: normalizeBranch,
+      match: [BRANCH_CODE_PATTERN, 'Branch {VALUE} is not a USN branch code such as CS or IS']
+    }]
+  },
+  status: { type: String, enum: DRIVE_STATUSES, default: 'upcoming' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+driveSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Drive = mongoose.model('Drive', driveSchema);
+
+const applicationSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  drive: { type: mongoose.Schema.Types.ObjectId, ref: 'Drive', required: true },
+  stage: { type: String, enum: APPLICATION_STAGES, default: 'applied' },
+  // Current interview round while in the interview stage
+  interviewRound: Number,
+  // Offered package in lakhs per annum
+  ctc: { type: Number, min: 0 },
+  stageHistory: [{
+    stage: { type: String, enum: APPLICATION_STAGES },
+    interviewRound: Number,
+    note: String,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+applicationSchema.index({ drive: 1, student: 1 }, { unique: true });
+applicationSchema.index({ student: 1, stage: 1 });
+
+applicationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Application = mongoose.model('Application', applicationSchema);
+
+// Learning plans: milestones built from a student's analysis.skillGaps and the resource catalog
+// (see LEARNING_RESOURCE_CATALOG); only one plan per student is active at a time
+const LEARNING_RESOURCE_TYPES = ['course', 'leetcode', 'project'];
+
+const learningPlanSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+  // The skill gaps the plan was built from, and those no catalog topic covers
+  skillGaps: [String],
+  unmatchedGaps: [String],
+  hoursPerWeek: Number,
+  startDate: Date,
+  milestones: [{
+    title: { type: String, required: true },
+    skillGap: String,
+    topic: String,
+    resource: {
+      id: String,
+      type: { type: String, enum: LEARNING_RESOURCE_TYPES },
+      title: String,
+      url: String
+    },
+    estimatedHours: Number,
+    dueDate: Date,
+    status: { type: String, enum: ['pending', 'done'], default: 'pending' },
+    completedAt: Date,
+    notes: String
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+learningPlanSchema.index({ student: 1, status: 1 });
+
+learningPlanSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const LearningPlan = mongoose.model('LearningPlan', learningPlanSchema);
+
+// Mentor notes: counselling sessions and observations recorded by staff alongside the automated analysis
+const MENTOR_NOTE_KINDS = ['counselling', 'observation'];
+const MENTOR_NOTE_VISIBILITY = ['faculty', 'shared'];
+const MENTOR_NOTE_TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// "At Risk" and "at-risk" are the same tag
+const normalizeNoteTags = (tags) => [...new Set((Array.isArray(tags) ? tags : [tags])
+  .filter(tag => typeof tag === 'string' && tag.trim())
+  .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')))];
+
+const mentorNoteSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: MENTOR_NOTE_KINDS, default: 'observation' },
+  body: { type: String, required: true, trim: true, maxlength: 5000 },
+  // faculty: staff only; shared: the student can read it too
+  visibility: { type: String, enum: MENTOR_NOTE_VISIBILITY, default: 'faculty' },
+  tags: {
+    type: [String],
+    set: normalizeNoteTags,
+    validate: {
+      validator: tags => tags.every(tag => MENTOR_NOTE_TAG_PATTERN.test(tag)),
+      message: 'Tags may only contain letters, digits and hyphens (up to 40 characters)'
+    }
+  },
+  followUp: {
+    dueDate: Date,
+    done: { type: Boolean, default: false },
+    completedAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+mentorNoteSchema.index({ student: 1, createdAt: -1 });
+mentorNoteSchema.index({ author: 1, 'followUp.done': 1, 'followUp.dueDate': 1 });
+mentorNoteSchema.index({ tags: 1 });
+
+mentorNoteSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const MentorNote = mongoose.model('MentorNote', mentorNoteSchema);
+
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -276,33 +1169,239 @@ const upload = multer({
     fileSize: 16 * 1024 * 1024 // 16MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
+    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|text\/plain/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
     const mimetype = allowedTypes.test(file.mimetype);
     
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only images, PDF, DOC, and DOCX files are allowed.'));
+      cb(new Error('Invalid file type. Only images, PDF, DOC, DOCX and TXT files are allowed.'));
     }
   }
 });
 
-// Debug middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  next();
+// Authentication configuration
+// A random secret differs per process, so production (including every serverless instance) must configure one
+if (!process.env.JWT_SECRET && (process.env.NODE_ENV === 'production' || process.env.VERCEL)) {
+  console.error('❌ JWT_SECRET must be set in production');
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET not set, using a random development secret (tokens will not survive restarts)');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const CLIENT_URL = process.env.CLIENT_URL;
+
+app.use(session({
+  secret: process.env.SESSION_SECRET || JWT_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 10 * 60 * 1000
+  }
+}));
+
+app.use(passport.initialize());
+app.use(passport.session());
+
+passport.serializeUser((user, done) => done(null, user.id));
+
+passport.deserializeUser(async (id, done) => {
+  try {
+    done(null, await User.findById(id));
+  } catch (error) {
+    done(error);
+  }
 });
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
+passport.use(new LocalStrategy({ usernameField: 'email' }, async (email, password, done) => {
   try {
-    const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-    
-    let appPyStatus = 'disconnected';
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.passwordHash) {
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+    const passwordMatches = await bcrypt.compare(password, user.passwordHash);
+    if (!passwordMatches) {
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+    done(null, user);
+  } catch (error) {
+    done(error);
+  }
+}));
+
+const LINKEDIN_ENABLED = Boolean(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET);
+
+if (LINKEDIN_ENABLED) {
+  passport.use(new LinkedInStrategy({
+    clientID: process.env.LINKEDIN_CLIENT_ID,
+    clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+    callbackURL: process.env.LINKEDIN_CALLBACK_URL || `http://localhost:${port}/api/auth/linkedin/callback`,
+    scope: ['r_emailaddress', 'r_liteprofile'],
+    state: true
+  }, async (accessToken, refreshToken, profile, done) => {
     try {
-      const appPyResponse = await axios.get(`${APP_PY_BASE_URL}/health`, { timeout: 5000 });
-      appPyStatus = appPyResponse.data.status === 'healthy' ? 'connected' : 'partial';
+      const email = profile.emails?.[0]?.value?.toLowerCase();
+      let user = await User.findOne({ linkedinId: profile.id });
+
+      if (!user && email) {
+        user = await User.findOne({ email });
+      }
+
+      if (!user) {
+        if (!email) {
+          return done(null, false, { message: 'LinkedIn account has no email address' });
+        }
+        user = new User({
+          name: profile.displayName || email,
+          email,
+          role: 'student'
+        });
+      }
+
+      user.linkedinId = profile.id;
+      await user.save();
+      done(null, user);
+    } catch (error) {
+      done(error);
+    }
+  }));
+} else {
+  console.warn('⚠️ LinkedIn OAuth not configured (LINKEDIN_CLIENT_ID / LINKEDIN_CLIENT_SECRET missing)');
+}
+
+// Create the initial admin account from ADMIN_EMAIL / ADMIN_PASSWORD if none exists
+const seedAdminUser = async () => {
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+    return;
+  }
+  const existingAdmin = await User.findOne({ role: 'admin' });
+  if (existingAdmin) {
+    return;
+  }
+  await User.create({
+    name: 'Administrator',
+    email: process.env.ADMIN_EMAIL,
+    passwordHash: await bcrypt.hash(process.env.ADMIN_PASSWORD, 10),
+    role: 'admin'
+  });
+  console.log('✅ Admin account created:', process.env.ADMIN_EMAIL);
+};
+
+const issueToken = (user) => jwt.sign(
+  { id: user.id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Resolve the caller from a Bearer token or an existing session
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+
+    if (header.startsWith('Bearer ')) {
+      let payload;
+      try {
+        payload = jwt.verify(header.slice(7), JWT_SECRET);
+      } catch (tokenError) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+
+      const user = await User.findById(payload.id);
+      if (!user) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+      if ((payload.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+        return res.status(401).json({ error: 'Token has been revoked, please log in again' });
+      }
+      req.user = user;
+      return next();
+    }
+
+    if (req.user) {
+      return next();
+    }
+
+    res.status(401).json({ error: 'Authentication required' });
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Error authenticating request' });
+  }
+};
+
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+// Faculty only see and manage their mentees; admins and placement officers see everyone
+const menteeScope = (user) => (['admin', 'placement_officer'].includes(user?.role) ? {} : { mentor: user._id });
+
+// Admins and placement officers can access any student, faculty their mentees, students only their own linked record
+const canAccessStudent = (user, student) => {
+  if (!student) {
+    return false;
+  }
+  if (isStaff(user)) {
+    const { mentor } = menteeScope(user);
+    return !mentor || Boolean(student.mentor?.equals(mentor));
+  }
+  return Boolean(user?.student && user.student.equals(student._id));
+};
+
+// Outgoing mail (verification codes are logged instead when SMTP is not configured)
+const STUDENT_LINK_OTP_TTL_MS = 15 * 60 * 1000;
+const STUDENT_LINK_MAX_ATTEMPTS = 5;
+
+const mailTransport = process.env.SMTP_HOST ? nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  } : undefined
+}) : null;
+
+const sendMail = async ({ to, subject, text }) => {
+  if (!mailTransport) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SMTP is not configured');
+    }
+    console.warn(`⚠️ SMTP not configured. Mail to ${to}: ${subject} - ${text}`);
+    return;
+  }
+  await mailTransport.sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text
+  });
+};
+
+// Debug middleware
+app.use((req, res, next) => {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  next();
+});
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+  try {
+    const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+    
+    let appPyStatus = 'disconnected';
+    try {
+      const appPyResponse = await axios.get(`${APP_PY_BASE_URL}/health`, { timeout: 5000 });
+      appPyStatus = appPyResponse.data.status === 'healthy' ? 'connected' : 'partial';
     } catch (error) {
       console.warn('App.py health check failed:', error.message);
     }
@@ -325,486 +1424,4250 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-// FIXED: Student CRUD endpoints
-app.get('/api/students', async (req, res) => {
+// Authentication endpoints
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { semester, limit = 50, offset = 0 } = req.query;
-    
-    let query = {};
-    if (semester) {
-      query.semester = parseInt(semester);
+    const { name, email, password, usn } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
     }
-    
-    const students = await Student.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset));
-      
-    const total = await Student.countDocuments(query);
-    
-    res.json({
-      students,
-      total,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(400).json({ error: 'An account with this email already exists' });
+    }
+
+    // Self-registered accounts are always students; staff accounts are created by an admin
+    const user = new User({
+      name,
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      role: 'student'
     });
+    await user.save();
+
+    // Optionally start linking to a Student record; the code goes to the email on file for that USN
+    let studentLink = null;
+    if (usn) {
+      try {
+        studentLink = await startStudentLink(user, usn);
+      } catch (linkError) {
+        console.warn('⚠️ Could not start student link at signup:', linkError.message);
+        studentLink = { status: 'failed', error: linkError.message };
+      }
+    }
+
+    console.log('✅ User registered:', user.email);
+    res.status(201).json({ token: issueToken(user), user, studentLink });
   } catch (error) {
-    console.error('Error fetching students:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Error fetching students',
-      details: error.message
-    });
+    console.error('Error registering user:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error registering user' });
   }
 });
 
-app.get('/api/students/semester/:semester', async (req, res) => {
-  try {
-    const semester = parseInt(req.params.semester);
-    if (isNaN(semester) || semester < 1 || semester > 8) {
-      return res.status(400).json({ error: 'Invalid semester. Must be between 1 and 8.' });
+app.post('/api/auth/login', (req, res, next) => {
+  passport.authenticate('local', { session: false }, async (err, user, info) => {
+    try {
+      if (err) {
+        throw err;
+      }
+      if (!user) {
+        return res.status(401).json({ error: info?.message || 'Invalid email or password' });
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      res.json({ token: issueToken(user), user });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Error logging in' });
     }
-    const students = await Student.find({ semester }).sort({ createdAt: -1 });
-    res.json(students);
-  } catch (error) {
-    console.error('Error fetching students by semester:', error);
-    res.status(500).json({ error: 'Error fetching students by semester' });
+  })(req, res, next);
+});
+
+app.get('/api/auth/linkedin', (req, res, next) => {
+  if (!LINKEDIN_ENABLED) {
+    return res.status(501).json({ error: 'LinkedIn login is not configured' });
   }
+  passport.authenticate('linkedin')(req, res, next);
 });
 
-app.get('/api/students/:id', async (req, res) => {
-  try {
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ error: 'Student not found' });
+app.get('/api/auth/linkedin/callback', (req, res, next) => {
+  if (!LINKEDIN_ENABLED) {
+    return res.status(501).json({ error: 'LinkedIn login is not configured' });
+  }
+  passport.authenticate('linkedin', async (err, user, info) => {
+    try {
+      if (err) {
+        throw err;
+      }
+      if (!user) {
+        return res.status(401).json({ error: info?.message || 'LinkedIn login failed' });
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      const token = issueToken(user);
+      if (CLIENT_URL) {
+        return res.redirect(`${CLIENT_URL}/auth/callback?token=${encodeURIComponent(token)}`);
+      }
+      res.json({ token, user });
+    } catch (error) {
+      console.error('Error completing LinkedIn login:', error);
+      res.status(500).json({ error: 'Error completing LinkedIn login' });
     }
-    res.json(student);
+  })(req, res, next);
+});
+
+// Every /api route below this point requires a logged-in user
+app.use('/api', authenticate);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Ends the session and revokes every token issued to the account so far (all devices are logged out)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    req.logout((err) => {
+      if (err) {
+        console.error('Error ending session:', err);
+        return res.status(500).json({ error: 'Error logging out' });
+      }
+      res.json({ message: 'Logged out successfully' });
+    });
   } catch (error) {
-    console.error('Error fetching student:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid student ID format' });
-    }
-    res.status(500).json({ error: 'Error fetching student' });
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Error logging out' });
   }
 });
 
-app.get('/api/students/usn/:usn', async (req, res) => {
+// User management endpoints (admin only)
+app.get('/api/users', authorize('admin'), async (req, res) => {
   try {
-    const student = await Student.findOne({ usn: req.params.usn.toUpperCase() });
-    if (!student) {
-      return res.status(404).json({ error: 'Student not found' });
-    }
-    res.json(student);
+    const { role } = req.query;
+    const query = role ? { role } : {};
+    const users = await User.find(query).sort({ createdAt: -1 });
+    res.json(users);
   } catch (error) {
-    console.error('Error fetching student by USN:', error);
-    res.status(500).json({ error: 'Error fetching student by USN' });
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Error fetching users' });
   }
 });
 
-app.post('/api/students', async (req, res) => {
+app.post('/api/users', authorize('admin'), async (req, res) => {
   try {
-    const studentData = req.body;
-    
-    // Normalize USN to uppercase
-    if (studentData.usn) {
-      studentData.usn = studentData.usn.toUpperCase();
+    const { name, email, password, role = 'student', usn } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
     }
-    
-    const existingStudent = await Student.findOne({ usn: studentData.usn });
-    if (existingStudent) {
-      return res.status(400).json({ error: 'Student with this USN already exists' });
+
+    const user = new User({
+      name,
+      email,
+      role,
+      passwordHash: await bcrypt.hash(password, 10)
+    });
+
+    if (usn) {
+      const student = await Student.findOne({ usn: usn.toUpperCase() });
+      if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+      user.student = student._id;
     }
-    
-    const newStudent = new Student(studentData);
-    await newStudent.save();
-    
-    console.log('✅ Student created successfully:', newStudent.usn);
-    res.status(201).json(newStudent);
+
+    await user.save();
+    console.log('✅ User created by admin:', user.email, `(${user.role})`);
+    res.status(201).json(user);
   } catch (error) {
-    console.error('Error creating student:', error);
+    console.error('Error creating user:', error);
     if (error.code === 11000) {
-      res.status(400).json({ error: 'Student with this USN already exists' });
-    } else if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'An account with this email already exists' });
+    }
+    if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
-      res.status(400).json({ error: 'Validation error', details: errors });
-    } else {
-      res.status(500).json({ error: 'Error creating student' });
+      return res.status(400).json({ error: 'Validation error', details: errors });
     }
+    res.status(500).json({ error: 'Error creating user' });
   }
 });
 
-app.put('/api/students/:id', async (req, res) => {
+app.put('/api/users/:id', authorize('admin'), async (req, res) => {
   try {
-    // Normalize USN to uppercase if provided
-    if (req.body.usn) {
-      req.body.usn = req.body.usn.toUpperCase();
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    
-    const updatedStudent = await Student.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    if (!updatedStudent) {
-      return res.status(404).json({ error: 'Student not found' });
+
+    const { name, role, usn, password } = req.body;
+    if (name) user.name = name;
+    if (role) user.role = role;
+    if (password) user.passwordHash = await bcrypt.hash(password, 10);
+
+    if (usn !== undefined) {
+      if (usn) {
+        const student = await Student.findOne({ usn: usn.toUpperCase() });
+        if (!student) {
+          return res.status(404).json({ error: 'Student not found' });
+        }
+        user.student = student._id;
+      } else {
+        user.student = undefined;
+      }
     }
-    res.json(updatedStudent);
+
+    await user.save();
+    res.json(user);
   } catch (error) {
-    console.error('Error updating student:', error);
+    console.error('Error updating user:', error);
     if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid student ID format' });
+      return res.status(400).json({ error: 'Invalid user ID format' });
     }
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ error: 'Validation error', details: errors });
     }
-    res.status(500).json({ error: 'Error updating student' });
+    res.status(500).json({ error: 'Error updating user' });
   }
 });
 
-app.delete('/api/students/:id', async (req, res) => {
+app.delete('/api/users/:id', authorize('admin'), async (req, res) => {
   try {
-    const deletedStudent = await Student.findByIdAndDelete(req.params.id);
-    if (!deletedStudent) {
-      return res.status(404).json({ error: 'Student not found' });
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
     }
-    res.json({ message: 'Student deleted successfully' });
+    const deletedUser = await User.findByIdAndDelete(req.params.id);
+    if (!deletedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'User deleted successfully' });
   } catch (error) {
-    console.error('Error deleting student:', error);
+    console.error('Error deleting user:', error);
     if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid student ID format' });
+      return res.status(400).json({ error: 'Invalid user ID format' });
     }
-    res.status(500).json({ error: 'Error deleting student' });
+    res.status(500).json({ error: 'Error deleting user' });
   }
 });
 
-// Get soft skills assessment questions
-app.get('/api/soft-skills/questions', (req, res) => {
-  try {
-    console.log('📋 Serving soft skills assessment questions');
-    res.json({
-      success: true,
-      questions: SOFT_SKILLS_QUESTIONS,
-      totalQuestions: SOFT_SKILLS_QUESTIONS.length,
-      estimatedTime: '10-15 minutes'
-    });
-  } catch (error) {
-    console.error('Error serving questions:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Error retrieving assessment questions' 
-    });
+// Self-service endpoints for the logged-in student
+const maskEmail = (email) => {
+  const [local, domain] = (email || '').split('@');
+  if (!domain) {
+    return email;
   }
-});
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+};
 
-// Analyze soft skills responses
-app.post('/api/soft-skills/analyze', async (req, res) => {
-  try {
-    const { responses, studentId } = req.body;
-    
-    if (!responses || !Array.isArray(responses) || responses.length !== 5) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'All 5 question responses are required' 
-      });
-    }
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
 
-    console.log('🧠 Analyzing soft skills responses...');
+// Start linking a user to a Student record by sending a one-time code to Student.email
+const startStudentLink = async (user, usn) => {
+  const student = await Student.findOne({ usn: usn.toUpperCase() });
+  if (!student) {
+    const error = new Error('Student not found');
+    error.status = 404;
+    throw error;
+  }
 
-    const formattedResponses = responses.map((response, index) => ({
-      question: SOFT_SKILLS_QUESTIONS[index].question,
-      category: SOFT_SKILLS_QUESTIONS[index].category,
-      targetSkills: SOFT_SKILLS_QUESTIONS[index].skills,
-      studentAnswer: response.answer || '',
-      questionId: index + 1
-    }));
+  const linkedUser = await User.findOne({ student: student._id, _id: { $ne: user._id } });
+  if (linkedUser) {
+    const error = new Error('This student record is already linked to another account');
+    error.status = 409;
+    throw error;
+  }
 
-    const groqResponse = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert HR professional and soft skills assessor. Analyze the student's responses to evaluate their soft skills and provide detailed feedback. 
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  user.pendingStudentLink = {
+    student: student._id,
+    otpHash: hashOtp(otp),
+    expiresAt: new Date(Date.now() + STUDENT_LINK_OTP_TTL_MS),
+    attempts: 0
+  };
+  await user.save();
 
-          Rate each skill on a scale of 1-10 and provide specific feedback. Return ONLY valid JSON with this exact structure:
-          {
-            "overallSoftSkillsScore": 85,
-            "skillBreakdown": {
-              "communication": { "score": 8, "feedback": "Strong communication skills evident..." },
-              "teamwork": { "score": 7, "feedback": "Good collaborative abilities..." },
-              "problem_solving": { "score": 9, "feedback": "Excellent analytical thinking..." },
-              "leadership": { "score": 6, "feedback": "Shows potential for leadership..." },
-              "adaptability": { "score": 8, "feedback": "Demonstrates flexibility..." },
-              "learning_agility": { "score": 9, "feedback": "Quick learner with growth mindset..." },
-              "initiative": { "score": 7, "feedback": "Takes proactive approach..." },
-              "professionalism": { "score": 8, "feedback": "Maintains professional standards..." }
-            },
-            "strengths": ["Excellent problem-solving abilities", "Strong learning agility"],
-            "areasForImprovement": ["Leadership confidence", "Conflict resolution"],
-            "developmentRecommendations": ["Join leadership training programs", "Practice public speaking"],
-            "personalityTraits": ["Analytical", "Growth-oriented", "Collaborative"],
-            "careerFitness": {
-              "technicalRoles": 8,
-              "managementRoles": 6,
-              "consultingRoles": 7,
-              "entrepreneurialRoles": 6
-            },
-            "detailedAnalysis": "Based on the responses, the student demonstrates..."
-          }
+  await sendMail({
+    to: student.email,
+    subject: 'Verify your student account',
+    text: `Your verification code for USN ${student.usn} is ${otp}. It expires in ${STUDENT_LINK_OTP_TTL_MS / 60000} minutes.`
+  });
 
-          Focus on specific examples from their answers. Be constructive and provide actionable feedback.`
-        },
-        {
-          role: "user",
-          content: `Analyze these soft skill assessment responses:\n\n${JSON.stringify(formattedResponses, null, 2)}`
-        }
-      ],
-      model: "openai/gpt-oss-20b",
-      temperature: 0.3,
-      max_tokens: 2000,
-    });
+  return { status: 'pending', usn: student.usn, sentTo: maskEmail(student.email) };
+};
 
-    const content = groqResponse.choices[0]?.message?.content || '';
-    
-    let jsonContent = content;
-    const jsonMatch = content.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/);
-    if (jsonMatch) {
-      jsonContent = jsonMatch[1];
-    } else {
-      const jsonStart = content.indexOf('{');
-      const jsonEnd = content.lastIndexOf('}') + 1;
-      if (jsonStart !== -1 && jsonEnd > jsonStart) {
-        jsonContent = content.slice(jsonStart, jsonEnd);
-      }
+// Load the caller's own Student record or reject the request
+const requireLinkedStudent = async (req, res, next) => {
+  try {
+    if (!req.user.student) {
+      return res.status(409).json({ 
+        error: 'Your account is not linked to a student record',
+        hint: 'POST /api/me/link with your USN to link it'
+      });
     }
-
-    let analysisData;
-    try {
-      analysisData = JSON.parse(jsonContent);
-      
-      analysisData = {
-        overallSoftSkillsScore: analysisData.overallSoftSkillsScore || 50,
-        skillBreakdown: analysisData.skillBreakdown || {},
-        strengths: analysisData.strengths || [],
-        areasForImprovement: analysisData.areasForImprovement || [],
-        developmentRecommendations: analysisData.developmentRecommendations || [],
-        personalityTraits: analysisData.personalityTraits || [],
-        careerFitness: analysisData.careerFitness || {
-          technicalRoles: 5,
-          managementRoles: 5,
-          consultingRoles: 5,
-          entrepreneurialRoles: 5
-        },
-        detailedAnalysis: analysisData.detailedAnalysis || "Analysis completed successfully.",
-        assessmentDate: new Date().toISOString(),
-        responses: formattedResponses
-      };
-
-    } catch (parseError) {
-      console.error("Failed to parse soft skills analysis:", parseError);
-      
-      analysisData = {
-        overallSoftSkillsScore: 70,
-        skillBreakdown: {
-          communication: { score: 7, feedback: "Assessment completed - detailed analysis available." },
-          teamwork: { score: 7, feedback: "Assessment completed - detailed analysis available." },
-          problem_solving: { score: 7, feedback: "Assessment completed - detailed analysis available." },
-          leadership: { score: 6, feedback: "Assessment completed - detailed analysis available." },
-          adaptability: { score: 7, feedback: "Assessment completed - detailed analysis available." },
-          learning_agility: { score: 8, feedback: "Assessment completed - detailed analysis available." },
-          initiative: { score: 6, feedback: "Assessment completed - detailed analysis available." },
-          professionalism: { score: 7, feedback: "Assessment completed - detailed analysis available." }
-        },
-        strengths: ["Completed comprehensive assessment"],
-        areasForImprovement: ["Continue developing professional skills"],
-        developmentRecommendations: ["Review detailed analysis for specific guidance"],
-        personalityTraits: ["Engaged", "Thoughtful"],
-        careerFitness: {
-          technicalRoles: 7,
-          managementRoles: 6,
-          consultingRoles: 6,
-          entrepreneurialRoles: 6
-        },
-        detailedAnalysis: "Soft skills assessment completed. The student provided thoughtful responses to all questions, demonstrating engagement with the assessment process.",
-        assessmentDate: new Date().toISOString(),
-        responses: formattedResponses
-      };
+    const student = await Student.findById(req.user.student);
+    if (!student) {
+      return res.status(404).json({ error: 'Linked student record no longer exists' });
     }
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error('Error loading linked student:', error);
+    res.status(500).json({ error: 'Error loading your student record' });
+  }
+};
 
-    if (studentId) {
-      try {
-        const student = await Student.findById(studentId);
-        if (student) {
-          student.softSkillsAssessment = analysisData;
-          await student.save();
-          console.log('✅ Soft skills assessment saved to student profile');
-        }
-      } catch (dbError) {
-        console.error('Error saving soft skills assessment:', dbError);
-      }
+const removeUploadedFile = (file) => {
+  if (file && file.path) {
+    try {
+      fs.unlinkSync(file.path);
+    } catch (unlinkError) {
+      console.error('Error cleaning up file:', unlinkError);
     }
+  }
+};
 
-    console.log('✅ Soft skills analysis completed');
+app.get('/api/me', async (req, res) => {
+  try {
+    const student = req.user.student ? await Student.findById(req.user.student) : null;
     res.json({
-      success: true,
-      data: analysisData,
-      message: 'Soft skills assessment completed successfully'
+      user: req.user,
+      student,
+      linkStatus: student ? 'linked' : (req.user.pendingStudentLink?.student ? 'pending' : 'unlinked')
     });
-
   } catch (error) {
-    console.error('❌ Error analyzing soft skills:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error analyzing soft skills responses',
-      details: error.message
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'Error fetching profile' });
+  }
+});
+
+app.post('/api/me/link', async (req, res) => {
+  try {
+    const { usn } = req.body;
+    if (!usn) {
+      return res.status(400).json({ error: 'USN is required' });
+    }
+    if (req.user.student) {
+      return res.status(409).json({ error: 'Your account is already linked to a student record' });
+    }
+
+    const linkStatus = await startStudentLink(req.user, usn);
+    res.json(linkStatus);
+  } catch (error) {
+    console.error('Error starting student link:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error sending verification code' });
+  }
+});
+
+app.post('/api/me/link/verify', async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const pending = req.user.pendingStudentLink;
+
+    if (!pending?.student) {
+      return res.status(400).json({ error: 'No pending student link. Request a new code first.' });
+    }
+    if (pending.expiresAt < new Date() || pending.attempts >= STUDENT_LINK_MAX_ATTEMPTS) {
+      req.user.pendingStudentLink = undefined;
+      await req.user.save();
+      return res.status(400).json({ error: 'Verification code expired. Request a new code.' });
+    }
+    if (!otp || hashOtp(otp) !== pending.otpHash) {
+      pending.attempts += 1;
+      await req.user.save();
+      return res.status(400).json({ 
+        error: 'Invalid verification code',
+        attemptsRemaining: STUDENT_LINK_MAX_ATTEMPTS - pending.attempts
+      });
+    }
+
+    const linkedUser = await User.findOne({ student: pending.student, _id: { $ne: req.user._id } });
+    if (linkedUser) {
+      return res.status(409).json({ error: 'This student record is already linked to another account' });
+    }
+
+    req.user.student = pending.student;
+    req.user.pendingStudentLink = undefined;
+    await req.user.save();
+
+    const student = await Student.findById(req.user.student);
+    console.log('✅ Account linked to student:', student?.usn);
+    res.json({ message: 'Student record linked successfully', student });
+  } catch (error) {
+    console.error('Error verifying student link:', error);
+    res.status(500).json({ error: 'Error verifying student link' });
+  }
+});
+
+app.post('/api/me/resume', requireLinkedStudent, upload.single('resume'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No resume file uploaded',
+        success: false 
+      });
+    }
+
+    const job = await enqueueJob({
+      type: 'resumeAnalysis',
+      payload: { studentId: req.student._id },
+      file: req.file,
+      student: req.student,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error('❌ Error queueing own resume analysis:', error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ success: false, error: 'Error analyzing resume' });
+  }
+});
+
+app.post('/api/me/marksheet', requireLinkedStudent, upload.single('marksheet'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No marksheet file uploaded',
+        success: false 
+      });
+    }
+
+    const job = await enqueueJob({
+      type: 'marksAnalysis',
+      payload: { studentId: req.student._id, semester: req.body.semester },
+      file: req.file,
+      student: req.student,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error('❌ Error queueing own marksheet analysis:', error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ success: false, error: 'Error analyzing marks' });
+  }
+});
+
+app.get('/api/me/soft-skills', requireLinkedStudent, (req, res) => {
+  if (!req.student.softSkillsAssessment?.assessmentDate) {
+    return res.status(404).json({
+      success: false,
+      error: 'No soft skills assessment found for this student'
+    });
+  }
+  res.json({ success: true, data: req.student.softSkillsAssessment });
+});
+
+app.post('/api/me/soft-skills', requireLinkedStudent, async (req, res) => {
+  try {
+    let answers;
+    try {
+      answers = await resolveSoftSkillsAnswers(req.body.responses);
+    } catch (answersError) {
+      if (!answersError.status) throw answersError;
+      return res.status(answersError.status).json({
+        success: false,
+        error: answersError.message,
+        details: answersError.details
+      });
+    }
+
+    const job = await enqueueJob({
+      type: 'softSkillsAnalysis',
+      payload: {
+        responses: answers.map(({ question, answer }) => ({ questionId: question._id, answer })),
+        studentId: req.student._id
+      },
+      student: req.student,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error('❌ Error queueing own soft skills analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error analyzing soft skills responses',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/me/analysis', requireLinkedStudent, (req, res) => {
+  if (!req.student.analysis?.detailedAnalysis) {
+    return res.status(404).json({ error: 'No analysis found. Run POST /api/me/analysis first.' });
+  }
+  res.json(req.student.analysis);
+});
+
+app.post('/api/me/analysis', requireLinkedStudent, async (req, res) => {
+  try {
+    const job = await enqueueJob({
+      type: 'profileAnalysis',
+      payload: { studentId: req.student._id },
+      student: req.student,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error('❌ Error queueing own profile analysis:', error);
+    res.status(500).json({ error: 'Error analyzing student data' });
+  }
+});
+
+// FIXED: Student CRUD endpoints
+const STUDENT_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  usn: 'usn',
+  cgpa: 'marks.cgpa',
+  readiness: 'readiness.index'
+};
+
+// Filter and sort shared by the student list and export endpoints, limited to the caller's mentees
+const buildStudentListQuery = ({ semester, section, sortBy = 'createdAt', order = 'desc' }, user) => {
+  if (!STUDENT_SORT_FIELDS[sortBy]) {
+    throw badRequest(`Invalid sortBy. Must be one of: ${Object.keys(STUDENT_SORT_FIELDS).join(', ')}`);
+  }
+
+  const filter = menteeScope(user);
+  if (semester) {
+    filter.semester = parseInt(semester);
+  }
+  if (section) {
+    filter.section = String(section).trim().toUpperCase();
+  }
+
+  return { filter, sort: { [STUDENT_SORT_FIELDS[sortBy]]: order === 'asc' ? 1 : -1, _id: 1 } };
+};
+
+app.get('/api/students', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const { filter, sort } = buildStudentListQuery(req.query, req.user);
+    
+    const students = await Student.find(filter)
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+      
+    const total = await Student.countDocuments(filter);
+    
+    res.json({
+      students,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching students:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error fetching students',
+      details: error.message
+    });
+  }
+});
+
+// Student export (CSV, XLSX or JSON), streamed from a cursor so large cohorts are never held in memory
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'name',
+  'usn',
+  'email',
+  'semester',
+  'branch',
+  'batchYear',
+  'section',
+  'marks.cgpa',
+  'leetcode.totalSolved',
+  'github.publicRepos',
+  'softSkillsAssessment.overallSoftSkillsScore',
+  'readiness.index'
+];
+
+// Columns are dotted schema paths; only leaf fields and arrays can be exported, not whole sub-objects
+const resolveExportColumns = (columns) => {
+  const requested = columns
+    ? [...new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean))]
+    : DEFAULT_EXPORT_COLUMNS;
+
+  const unknown = requested.filter(column => !Student.schema.path(column));
+  if (requested.length === 0 || unknown.length > 0) {
+    throw badRequest('Invalid export columns', {
+      unknownColumns: unknown,
+      hint: 'Use dotted field paths such as name, usn, marks.cgpa, leetcode.totalSolved or analysis.careerSuggestions'
+    });
+  }
+  return requested;
+};
+
+const getPathValue = (doc, column) => column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Flatten a value into a single spreadsheet cell; arrays become "a; b; c"
+const exportCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(exportCellValue).filter(item => item !== '').join('; ');
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Respect backpressure so a slow client doesn't make us buffer the whole cohort
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+const streamStudentExport = async (res, format, columns, cursor) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Students');
+    worksheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    for await (const student of cursor) {
+      worksheet.addRow(columns.map(column => exportCellValue(getPathValue(student, column)))).commit();
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'csv') {
+    await writeChunk(res, '﻿' + columns.map(csvField).join(',') + '\r\n');
+    for await (const student of cursor) {
+      await writeChunk(res, columns.map(column => csvField(exportCellValue(getPathValue(student, column)))).join(',') + '\r\n');
+    }
+    res.end();
+    return;
+  }
+
+  let count = 0;
+  await writeChunk(res, '[');
+  for await (const student of cursor) {
+    const row = {};
+    columns.forEach(column => { row[column] = getPathValue(student, column) ?? null; });
+    await writeChunk(res, (count++ > 0 ? ',\n' : '\n') + JSON.stringify(row));
+  }
+  await writeChunk(res, count > 0 ? '\n]\n' : ']\n');
+  res.end();
+};
+
+// Same filters and sorting as GET /api/students; ?columns=name,usn,marks.cgpa picks the fields
+app.get('/api/students/export', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const columns = resolveExportColumns(req.query.columns);
+    const { filter, sort } = buildStudentListQuery(req.query, req.user);
+
+    const projection = Object.fromEntries(columns.map(column => [column, 1]));
+    if (!columns.includes('_id')) {
+      projection._id = 0;
+    }
+    const cursor = Student.find(filter, projection).sort(sort).lean().cursor();
+
+    const filename = `students-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await streamStudentExport(res, format, columns, cursor);
+    console.log(`📤 Exported students as ${format} (${columns.length} columns)`);
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the file is already on the wire; cut the connection so the client sees a failed download
+      console.error('Error while streaming student export:', error);
+      return res.destroy(error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error exporting students:', error);
+    res.status(500).json({ error: 'Error exporting students' });
+  }
+});
+
+app.get('/api/students/semester/:semester', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const semester = parseInt(req.params.semester);
+    if (isNaN(semester) || semester < 1 || semester > 8) {
+      return res.status(400).json({ error: 'Invalid semester. Must be between 1 and 8.' });
+    }
+    const students = await Student.find({ semester, ...menteeScope(req.user) }).sort({ createdAt: -1 });
+    res.json(students);
+  } catch (error) {
+    console.error('Error fetching students by semester:', error);
+    res.status(500).json({ error: 'Error fetching students by semester' });
+  }
+});
+
+app.get('/api/students/:id', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+    res.json(student);
+  } catch (error) {
+    console.error('Error fetching student:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching student' });
+  }
+});
+
+app.get('/api/students/usn/:usn', async (req, res) => {
+  try {
+    const student = await Student.findOne({ usn: req.params.usn.toUpperCase() });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+    res.json(student);
+  } catch (error) {
+    console.error('Error fetching student by USN:', error);
+    res.status(500).json({ error: 'Error fetching student by USN' });
+  }
+});
+
+// Fields a student may change on their own record; marks, analyses and scores only come from staff or the analysis endpoints
+const STUDENT_SELF_EDIT_FIELDS = ['name', 'photo', 'githubUrl', 'leetcodeUrl'];
+
+const rejectDisallowedStudentFields = (res, body, allowed) => {
+  const fields = Object.keys(body).filter(field => !allowed.includes(field));
+  if (fields.length === 0) {
+    return false;
+  }
+  res.status(403).json({ error: 'You cannot set these fields on your own record', fields, allowedFields: allowed });
+  return true;
+};
+
+// Only staff create student records; students link their account to an existing record by email OTP
+app.post('/api/students', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const studentData = req.body;
+    delete studentData.mentor;
+    
+    // Normalize USN to uppercase
+    if (studentData.usn) {
+      studentData.usn = studentData.usn.toUpperCase();
+    }
+    
+    const existingStudent = await Student.findOne({ usn: studentData.usn });
+    if (existingStudent) {
+      return res.status(400).json({ error: 'Student with this USN already exists' });
+    }
+    
+    // Students a faculty member adds become their mentees
+    const newStudent = new Student({ ...studentData, ...menteeScope(req.user) });
+    await newStudent.save();
+    
+    console.log('✅ Student created successfully:', newStudent.usn);
+    res.status(201).json(newStudent);
+  } catch (error) {
+    console.error('Error creating student:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Student with this USN already exists' });
+    } else if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ error: 'Validation error', details: errors });
+    } else {
+      res.status(500).json({ error: 'Error creating student' });
+    }
+  }
+});
+
+app.put('/api/students/:id', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+    
+    // Students only edit their contact and profile links (not the USN or email their account link depends on)
+    if (!isStaff(req.user) && rejectDisallowedStudentFields(res, req.body, STUDENT_SELF_EDIT_FIELDS)) {
+      return;
+    }
+    delete req.body.mentor;
+    
+    // Normalize USN to uppercase if provided; batch year and branch follow a corrected USN unless set explicitly
+    if (req.body.usn) {
+      req.body.usn = req.body.usn.toUpperCase();
+      req.body = { ...cohortFieldsFromUsn(req.body.usn), ...req.body };
+    }
+    
+    const updatedStudent = await Student.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!updatedStudent) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    // findByIdAndUpdate skips the save hook, so refresh the readiness index here
+    updatedStudent.readiness = computeReadiness(updatedStudent, await loadReadinessConfig());
+    await Student.updateOne({ _id: updatedStudent._id }, { $set: { readiness: updatedStudent.readiness } });
+
+    res.json(updatedStudent);
+  } catch (error) {
+    console.error('Error updating student:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating student' });
+  }
+});
+
+app.delete('/api/students/:id', authorize('admin'), async (req, res) => {
+  try {
+    const deletedStudent = await Student.findByIdAndDelete(req.params.id);
+    if (!deletedStudent) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    await User.updateMany({ student: deletedStudent._id }, { $unset: { student: 1 } });
+    res.json({ message: 'Student deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting student:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error deleting student' });
+  }
+});
+
+// Student roster import (CSV or XLSX, one student per row)
+const MAX_ROSTER_ROWS = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted header spellings for each roster column (compared lowercase with spaces/underscores collapsed)
+const ROSTER_COLUMNS = {
+  name: ['name', 'student name', 'full name'],
+  usn: ['usn', 'university seat number'],
+  email: ['email', 'email id', 'e-mail', 'email address'],
+  semester: ['semester', 'sem'],
+  section: ['section', 'sec', 'class section'],
+  githubUrl: ['github', 'github url', 'githuburl', 'github profile'],
+  leetcodeUrl: ['leetcode', 'leetcode url', 'leetcodeurl', 'leetcode profile']
+};
+
+const rosterUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 16 * 1024 * 1024 // 16MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only CSV and XLSX rosters are allowed.'));
+  }
+});
+
+const rosterFieldForHeader = (header) => {
+  const normalized = String(header || '').toLowerCase().replace(/[\s_]+/g, ' ').trim();
+  return Object.keys(ROSTER_COLUMNS).find(field => ROSTER_COLUMNS[field].includes(normalized)) || null;
+};
+
+// ExcelJS returns hyperlinks, formulas and rich text as objects; reduce them to their displayed text
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value).trim();
+  if (value.hyperlink && /^https?:\/\//i.test(value.hyperlink)) return String(value.hyperlink).trim();
+  if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return String(value).trim();
+};
+
+// Read a roster into [{ row, values }] where row is the spreadsheet row number (header is row 1)
+const readRosterRows = async (file) => {
+  let table;
+  if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file.path);
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    worksheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      table[rowNumber - 1] = row.values.slice(1).map(cellText);
+    });
+  } else {
+    table = parseCsv(fs.readFileSync(file.path), { bom: true, relax_column_count: true, skip_empty_lines: false })
+      .map(row => row.map(cellText));
+  }
+
+  const [headers = [], ...rows] = table.map(row => row || []);
+  const fields = headers.map(rosterFieldForHeader);
+
+  return rows
+    .map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(fields
+        .map((field, column) => [field, cells[column] || ''])
+        .filter(([field]) => field))
+    }))
+    .filter(({ values }) => Object.values(values).some(Boolean));
+};
+
+// Normalize one roster row and collect every problem with it (schema, USN format, duplicates in the file)
+const validateRosterRow = (values, seenUsns, row) => {
+  const data = {
+    name: values.name || undefined,
+    usn: values.usn ? values.usn.toUpperCase().replace(/\s+/g, '') : undefined,
+    email: values.email ? values.email.toLowerCase() : undefined,
+    semester: values.semester ? Number(values.semester) : undefined,
+    section: values.section ? values.section.toUpperCase() : undefined,
+    githubUrl: values.githubUrl || undefined,
+    leetcodeUrl: values.leetcodeUrl || undefined
+  };
+  const errors = [];
+
+  const validationError = new Student(data).validateSync(['name', 'usn', 'email', 'semester']);
+  if (validationError) {
+    errors.push(...Object.values(validationError.errors).map(err => err.message));
+  }
+  if (data.usn && !USN_PATTERN.test(data.usn)) {
+    errors.push(`USN "${data.usn}" is not a valid VTU USN (e.g. 1RV21CS001)`);
+  }
+  if (data.email && !EMAIL_PATTERN.test(data.email)) {
+    errors.push(`Email "${data.email}" is not a valid email address`);
+  }
+  if (data.usn && seenUsns.has(data.usn)) {
+    errors.push(`Duplicate USN in file (first seen on row ${seenUsns.get(data.usn)})`);
+  } else if (data.usn) {
+    seenUsns.set(data.usn, row);
+  }
+
+  return { data, errors };
+};
+
+const ROSTER_FIELDS = Object.keys(ROSTER_COLUMNS);
+
+// Import a roster; ?dryRun=true (or a dryRun form field) only reports what would happen
+app.post('/api/students/import', authorize(...STAFF_ROLES), rosterUpload.single('roster'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No roster file uploaded' });
+    }
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'false') === 'true';
+
+    let rosterRows;
+    try {
+      rosterRows = await readRosterRows(req.file);
+    } catch (parseError) {
+      console.error('Error reading roster:', parseError);
+      return res.status(400).json({ error: 'Could not read the roster file', details: parseError.message });
+    } finally {
+      removeUploadedFile(req.file);
+    }
+
+    if (rosterRows.length === 0) {
+      return res.status(400).json({ error: 'The roster has no student rows' });
+    }
+    if (rosterRows.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({ error: `A roster can have at most ${MAX_ROSTER_ROWS} rows` });
+    }
+
+    const seenUsns = new Map();
+    const validated = rosterRows.map(({ row, values }) => ({ row, ...validateRosterRow(values, seenUsns, row) }));
+
+    const existingStudents = await Student.find({ usn: { $in: [...seenUsns.keys()] } });
+    const existingByUsn = new Map(existingStudents.map(student => [student.usn, student]));
+
+    const report = [];
+    const counts = { created: 0, updated: 0, skipped: 0 };
+
+    for (const { row, data, errors } of validated) {
+      if (errors.length > 0) {
+        counts.skipped++;
+        report.push({ row, usn: data.usn || null, action: 'error', errors });
+        continue;
+      }
+
+      // Faculty only update their own mentees; students they add become their mentees
+      const existing = existingByUsn.get(data.usn);
+      if (existing && !canAccessStudent(req.user, existing)) {
+        counts.skipped++;
+        report.push({ row, usn: data.usn, action: 'error', errors: ['This student is not one of your mentees'] });
+        continue;
+      }
+      const changedFields = existing
+        ? ROSTER_FIELDS.filter(field => data[field] !== undefined && data[field] !== existing[field])
+        : ROSTER_FIELDS;
+
+      if (existing && changedFields.length === 0) {
+        counts.skipped++;
+        report.push({ row, usn: data.usn, action: 'unchanged', errors: [] });
+        continue;
+      }
+
+      try {
+        if (!dryRun) {
+          if (existing) {
+            changedFields.forEach(field => { existing[field] = data[field]; });
+            await existing.save();
+          } else {
+            await Student.create({ ...data, ...menteeScope(req.user) });
+          }
+        }
+        counts[existing ? 'updated' : 'created']++;
+        report.push({ row, usn: data.usn, action: existing ? 'update' : 'create', changedFields: existing ? changedFields : undefined, errors: [] });
+      } catch (saveError) {
+        counts.skipped++;
+        report.push({ row, usn: data.usn, action: 'error', errors: [saveError.message] });
+      }
+    }
+
+    console.log(`${dryRun ? '🔍 Roster dry run' : '✅ Roster imported'}: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped`);
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      totalRows: rosterRows.length,
+      ...counts,
+      errors: report.filter(entry => entry.action === 'error').length,
+      rows: report
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ error: 'Error importing roster' });
+  }
+});
+
+// Soft skills form generation
+const SOFT_SKILLS_FORM_SIZE = 5;
+const MIN_SOFT_SKILLS_ANSWERS = 3;
+const MAX_SOFT_SKILLS_ANSWERS = 10;
+const FORM_GENERATION_ATTEMPTS = 20;
+
+const seedSoftSkillsQuestions = async () => {
+  if (await Question.exists({})) {
+    return;
+  }
+  await Question.insertMany(DEFAULT_SOFT_SKILLS_QUESTIONS);
+  console.log(`✅ Seeded ${DEFAULT_SOFT_SKILLS_QUESTIONS.length} soft skills questions`);
+};
+
+// Store the default rubric for any skill that does not have one yet
+const seedSoftSkillsRubric = async () => {
+  const existing = await SoftSkillRubric.distinct('skill');
+  const missing = SOFT_SKILL_KEYS.filter(skill => !existing.includes(skill));
+  if (missing.length === 0) {
+    return;
+  }
+  await SoftSkillRubric.insertMany(missing.map(skill => ({ skill, levels: DEFAULT_SOFT_SKILLS_RUBRIC[skill] })));
+  console.log(`✅ Seeded soft skills rubric for ${missing.length} skills`);
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Greedy pick from a shuffled pool: first cover skills no picked question targets yet, then the
+// least-covered skills, then the least-used difficulty; the shuffle breaks ties so retakes differ
+const pickBalancedQuestions = (questions, size) => {
+  const pool = shuffle(questions);
+  const picked = [];
+  const coverage = Object.fromEntries(SOFT_SKILL_KEYS.map(skill => [skill, 0]));
+  const difficulties = Object.fromEntries(QUESTION_DIFFICULTIES.map(level => [level, 0]));
+
+  const rank = (question) => [
+    question.targetSkills.filter(skill => coverage[skill] === 0).length,
+    -question.targetSkills.reduce((sum, skill) => sum + (coverage[skill] || 0), 0),
+    -difficulties[question.difficulty]
+  ];
+  const isBetter = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] > b[i];
+    }
+    return false;
+  };
+
+  while (picked.length < size && pool.length > 0) {
+    let bestIndex = 0;
+    pool.forEach((question, index) => {
+      if (isBetter(rank(question), rank(pool[bestIndex]))) {
+        bestIndex = index;
+      }
+    });
+
+    const [question] = pool.splice(bestIndex, 1);
+    picked.push(question);
+    question.targetSkills.forEach(skill => { coverage[skill] = (coverage[skill] || 0) + 1; });
+    difficulties[question.difficulty]++;
+  }
+
+  return {
+    questions: picked,
+    coverage,
+    uncovered: SOFT_SKILL_KEYS.filter(skill => coverage[skill] === 0)
+  };
+};
+
+// Assemble a random form covering all eight skillBreakdown skills (retries a few shuffles before giving up)
+const generateSoftSkillsForm = (questions, size) => {
+  let best = null;
+  for (let attempt = 0; attempt < FORM_GENERATION_ATTEMPTS; attempt++) {
+    const form = pickBalancedQuestions(questions, size);
+    if (!best || form.uncovered.length < best.uncovered.length) {
+      best = form;
+    }
+    if (best.uncovered.length === 0) break;
+  }
+  return best;
+};
+
+const formatQuestion = (question) => ({
+  id: question._id,
+  question: question.question,
+  category: question.category,
+  targetSkills: question.targetSkills,
+  difficulty: question.difficulty
+});
+
+// Check a submission of [{ questionId, answer }] and pair each answer with its Question document
+const resolveSoftSkillsAnswers = async (responses) => {
+  if (!Array.isArray(responses) || responses.length < MIN_SOFT_SKILLS_ANSWERS || responses.length > MAX_SOFT_SKILLS_ANSWERS) {
+    throw badRequest(`Between ${MIN_SOFT_SKILLS_ANSWERS} and ${MAX_SOFT_SKILLS_ANSWERS} responses are required, each as { questionId, answer }`);
+  }
+
+  const questionIds = responses.map(response => String(response?.questionId ?? ''));
+  const invalidIds = questionIds.filter(id => !mongoose.isValidObjectId(id));
+  if (invalidIds.length > 0) {
+    throw badRequest('Every response needs a valid questionId', invalidIds);
+  }
+  if (new Set(questionIds).size !== questionIds.length) {
+    throw badRequest('Each question can only be answered once');
+  }
+
+  const unanswered = responses
+    .filter(response => typeof response.answer !== 'string' || !response.answer.trim())
+    .map(response => response.questionId);
+  if (unanswered.length > 0) {
+    throw badRequest('Every question must be answered', unanswered);
+  }
+
+  // Inactive questions are still accepted so a form issued before a question was retired can be submitted
+  const questions = await Question.find({ _id: { $in: questionIds } });
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  const unknownIds = questionIds.filter(id => !questionsById.has(id));
+  if (unknownIds.length > 0) {
+    throw badRequest('Unknown questionId', unknownIds);
+  }
+
+  const uncovered = SOFT_SKILL_KEYS.filter(skill => !questions.some(question => question.targetSkills.includes(skill)));
+  if (uncovered.length > 0) {
+    throw badRequest('The answered questions must cover every soft skill', uncovered);
+  }
+
+  return responses.map(response => ({
+    question: questionsById.get(String(response.questionId)),
+    answer: response.answer.trim()
+  }));
+};
+
+// Get a randomized soft skills assessment form
+app.get('/api/soft-skills/questions', async (req, res) => {
+  try {
+    const size = parseInt(req.query.size) || SOFT_SKILLS_FORM_SIZE;
+    if (size < MIN_SOFT_SKILLS_ANSWERS || size > MAX_SOFT_SKILLS_ANSWERS) {
+      return res.status(400).json({
+        success: false,
+        error: `size must be between ${MIN_SOFT_SKILLS_ANSWERS} and ${MAX_SOFT_SKILLS_ANSWERS}`
+      });
+    }
+
+    const questions = await Question.find({ active: true });
+    const form = generateSoftSkillsForm(questions, size);
+
+    if (form.uncovered.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `The active question bank cannot cover every soft skill in ${size} questions`,
+        details: form.uncovered
+      });
+    }
+
+    console.log('📋 Serving soft skills assessment form');
+    res.json({
+      success: true,
+      questions: form.questions.map(formatQuestion),
+      totalQuestions: form.questions.length,
+      skillCoverage: form.coverage,
+      estimatedTime: `${form.questions.length * 2}-${form.questions.length * 3} minutes`
+    });
+  } catch (error) {
+    console.error('Error serving questions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error retrieving assessment questions' 
+    });
+  }
+});
+
+// Question bank management (staff can browse; admins and faculty can edit)
+app.get('/api/questions', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { active, skill, category, difficulty } = req.query;
+
+    const query = {};
+    if (active !== undefined) {
+      query.active = active === 'true';
+    }
+    if (skill) {
+      query.targetSkills = skill;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (difficulty) {
+      query.difficulty = difficulty;
+    }
+
+    const questions = await Question.find(query).sort({ createdAt: 1 });
+    res.json({ questions, total: questions.length });
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({ error: 'Error fetching questions' });
+  }
+});
+
+app.post('/api/questions', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const { question, category, targetSkills, difficulty, active } = req.body;
+
+    const created = await Question.create({
+      question,
+      category,
+      targetSkills,
+      difficulty,
+      active,
+      createdBy: req.user._id
+    });
+
+    console.log('✅ Question created:', created._id);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating question:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error creating question' });
+  }
+});
+
+app.put('/api/questions/:id', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    ['question', 'category', 'targetSkills', 'difficulty', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        question[field] = req.body[field];
+      }
+    });
+    await question.save();
+
+    res.json(question);
+  } catch (error) {
+    console.error('Error updating question:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid question ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating question' });
+  }
+});
+
+// Past assessments keep their own copy of each question, so deleting one never changes old results
+app.delete('/api/questions/:id', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const question = await Question.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ message: 'Question deleted successfully', id: question._id });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid question ID format' });
+    }
+    res.status(500).json({ error: 'Error deleting question' });
+  }
+});
+
+// Soft skills rubric management (staff can read; admins and faculty can edit)
+app.get('/api/rubrics', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const rubric = await loadSoftSkillsRubric();
+    res.json({ rubric });
+  } catch (error) {
+    console.error('Error fetching rubric:', error);
+    res.status(500).json({ error: 'Error fetching rubric' });
+  }
+});
+
+// Replace the score bands for one skill
+app.put('/api/rubrics/:skill', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const { skill } = req.params;
+    if (!SOFT_SKILL_KEYS.includes(skill)) {
+      return res.status(400).json({ error: `Invalid skill. Must be one of: ${SOFT_SKILL_KEYS.join(', ')}` });
+    }
+    if (!Array.isArray(req.body.levels) || req.body.levels.length === 0) {
+      return res.status(400).json({ error: 'levels must be a non-empty array of { minScore, maxScore, descriptor }' });
+    }
+
+    let rubric = await SoftSkillRubric.findOne({ skill });
+    if (rubric) {
+      rubric.version += 1;
+    } else {
+      rubric = new SoftSkillRubric({ skill });
+    }
+    rubric.levels = req.body.levels;
+    rubric.updatedBy = req.user._id;
+    rubric.updatedAt = new Date();
+    await rubric.save();
+
+    console.log(`✅ Rubric updated for ${skill} (version ${rubric.version})`);
+    res.json(rubric);
+  } catch (error) {
+    console.error('Error updating rubric:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating rubric' });
+  }
+});
+
+// Answers shorter than this are never quoted as evidence
+const MIN_EVIDENCE_WORDS = 15;
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+const normalizeQuote = (text) => text
+  .toLowerCase()
+  .replace(/[“”"‘’'`]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Every quote must appear verbatim (ignoring case, quotes and spacing) in an answer long enough to count
+const checkSoftSkillsEvidence = (formattedResponses) => (data) => {
+  const answers = formattedResponses
+    .filter(response => countWords(response.studentAnswer) >= MIN_EVIDENCE_WORDS)
+    .map(response => normalizeQuote(response.studentAnswer));
+
+  return Object.entries(data.skillBreakdown).flatMap(([skill, entry]) => entry.evidence
+    .map((quote, index) => (answers.some(answer => answer.includes(normalizeQuote(quote)))
+      ? null
+      : `/skillBreakdown/${skill}/evidence/${index} is not an exact quote from an answer of at least ${MIN_EVIDENCE_WORDS} words`))
+    .filter(Boolean));
+};
+
+// Current rubric per skill, falling back to the defaults for skills not yet stored
+const loadSoftSkillsRubric = async () => {
+  const stored = await SoftSkillRubric.find({ skill: { $in: SOFT_SKILL_KEYS } });
+  const storedBySkill = new Map(stored.map(rubric => [rubric.skill, rubric]));
+
+  return Object.fromEntries(SOFT_SKILL_KEYS.map(skill => {
+    const rubric = storedBySkill.get(skill);
+    return [skill, {
+      version: rubric ? rubric.version : 0,
+      levels: (rubric ? rubric.levels : DEFAULT_SOFT_SKILLS_RUBRIC[skill])
+        .map(level => ({ minScore: level.minScore, maxScore: level.maxScore, descriptor: level.descriptor }))
+        .sort((a, b) => a.minScore - b.minScore)
+    }];
+  }));
+};
+
+// Overall score is the mean of the scored skills on a 0-100 scale; skills without evidence are left out
+const computeOverallSoftSkillsScore = (skillBreakdown) => {
+  const scores = Object.values(skillBreakdown)
+    .filter(entry => !entry.insufficientEvidence)
+    .map(entry => entry.score);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10);
+};
+
+// Run the soft skills assessment for answers from resolveSoftSkillsAnswers; throws if the model output never validates
+const analyzeSoftSkillsResponses = async (answers) => {
+  console.log('🧠 Analyzing soft skills responses...');
+
+  const formattedResponses = answers.map(({ question, answer }) => ({
+    question: question.question,
+    category: question.category,
+    targetSkills: question.targetSkills,
+    studentAnswer: answer,
+    questionId: question._id
+  }));
+  const rubric = await loadSoftSkillsRubric();
+
+  const { data } = await runValidatedLLMTask('softSkills', [
+    {
+      role: "system",
+      content: `You are an expert HR professional and soft skills assessor. Score the student's answers against the rubric for each skill and provide detailed feedback.
+
+      Return ONLY valid JSON with this exact structure:
+      {
+        "skillBreakdown": {
+          "communication": { "score": 7, "feedback": "Why this rubric band fits...", "evidence": ["<sentence copied exactly from an answer>"], "insufficientEvidence": false },
+          "teamwork": { "score": null, "feedback": "No answer shows how the student works in a team.", "evidence": [], "insufficientEvidence": true },
+          "problem_solving": { ... },
+          "leadership": { ... },
+          "adaptability": { ... },
+          "learning_agility": { ... },
+          "initiative": { ... },
+          "professionalism": { ... }
+        },
+        "strengths": ["Excellent problem-solving abilities", "Strong learning agility"],
+        "areasForImprovement": ["Leadership confidence", "Conflict resolution"],
+        "developmentRecommendations": ["Join leadership training programs", "Practice public speaking"],
+        "personalityTraits": ["Analytical", "Growth-oriented", "Collaborative"],
+        "careerFitness": {
+          "technicalRoles": 8,
+          "managementRoles": 6,
+          "consultingRoles": 7,
+          "entrepreneurialRoles": 6
+        },
+        "detailedAnalysis": "Based on the responses, the student demonstrates..."
+      }
+
+      Rules:
+      - Score each skill as a whole number from 1 to 10 using the rubric band whose descriptor best matches the answers.
+      - "evidence" must contain the exact sentences from studentAnswer that support the score, copied word for word.
+      - Only quote answers of at least ${MIN_EVIDENCE_WORDS} words.
+      - If no answer gives real evidence for a skill (answers are too short, off-topic or do not address it), set "insufficientEvidence": true, "score": null and explain why in "feedback".
+      - Focus on specific examples from their answers. Be constructive and provide actionable feedback.
+
+      Rubric:
+      ${JSON.stringify(Object.fromEntries(Object.entries(rubric).map(([skill, { levels }]) => [
+        skill,
+        levels.map(level => ({ scores: `${level.minScore}-${level.maxScore}`, descriptor: level.descriptor }))
+      ])), null, 2)}`
+    },
+    {
+      role: "user",
+      content: `Analyze these soft skill assessment responses:\n\n${JSON.stringify(formattedResponses.map(response => ({
+        ...response,
+        wordCount: countWords(response.studentAnswer)
+      })), null, 2)}`
+    }
+  ], checkSoftSkillsEvidence(formattedResponses));
+
+  return {
+    overallSoftSkillsScore: computeOverallSoftSkillsScore(data.skillBreakdown),
+    skillBreakdown: data.skillBreakdown,
+    strengths: data.strengths,
+    areasForImprovement: data.areasForImprovement,
+    developmentRecommendations: data.developmentRecommendations,
+    personalityTraits: data.personalityTraits,
+    careerFitness: data.careerFitness,
+    detailedAnalysis: data.detailedAnalysis,
+    rubricVersions: Object.fromEntries(Object.entries(rubric).map(([skill, { version }]) => [skill, version])),
+    assessmentDate: new Date().toISOString(),
+    responses: formattedResponses
+  };
+};
+
+// Analyze soft skills responses
+app.post('/api/soft-skills/analyze', async (req, res) => {
+  try {
+    const { responses, studentId } = req.body;
+    
+    let answers;
+    try {
+      answers = await resolveSoftSkillsAnswers(responses);
+    } catch (answersError) {
+      if (!answersError.status) throw answersError;
+      return res.status(answersError.status).json({
+        success: false,
+        error: answersError.message,
+        details: answersError.details
+      });
+    }
+
+    // Students can only save an assessment to their own record, faculty to their mentees' records
+    const targetStudentId = studentId || (isStaff(req.user) ? null : req.user.student);
+    if (targetStudentId && !canAccessStudent(req.user, await Student.findById(targetStudentId))) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'You do not have access to this student' 
+      });
+    }
+
+    const job = await enqueueJob({
+      type: 'softSkillsAnalysis',
+      payload: {
+        responses: answers.map(({ question, answer }) => ({ questionId: question._id, answer })),
+        studentId: targetStudentId || null
+      },
+      student: targetStudentId ? { _id: targetStudentId } : null,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+
+  } catch (error) {
+    console.error('❌ Error queueing soft skills analysis:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid student ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error analyzing soft skills responses',
+      details: error.message
+    });
+  }
+});
+
+// Get student's soft skills assessment
+app.get('/api/students/:id/soft-skills', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Student not found' 
+      });
+    }
+
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'You do not have access to this student' 
+      });
+    }
+
+    if (!student.softSkillsAssessment) {
+      return res.status(404).json({
+        success: false,
+        error: 'No soft skills assessment found for this student'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: student.softSkillsAssessment,
+      studentInfo: {
+        name: student.name,
+        usn: student.usn,
+        semester: student.semester
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching soft skills assessment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error retrieving soft skills assessment'
+    });
+  }
+});
+
+// Generate the overall career analysis for a student document (throws if the model output never validates)
+const analyzeStudentProfile = async (student) => {
+  const { github, leetcode, marks, resume, softSkillsAssessment } = student;
+  
+  const studentProfile = {
+    name: student.name,
+    semester: student.semester,
+    academicPerformance: {
+      cgpa: marks?.cgpa || 0,
+      percentage: marks?.totalPercentage || 0,
+      backlogs: marks?.backlogs || 0,
+      semesterTrend: buildAcademicTrend(student).map(({ semester, sgpa, backlogs }) => ({ semester, sgpa, backlogs })),
+      subjects: marks?.subjects || [],
+      detailedMarksAnalysis: marks?.detailedAnalysis || null
+    },
+    technicalSkills: resume?.skills || [],
+    projects: resume?.projects || [],
+    experience: resume?.experience || [],
+    education: resume?.education || [],
+    detailedResumeAnalysis: resume?.detailedAnalysis || null,
+    github: {
+      repositories: github?.repositories || 0,
+      languages: github?.languages || [],
+      contributions: github?.contributionsLastYear || 0,
+      followers: github?.followers || 0
+    },
+    leetcode: {
+      totalSolved: leetcode?.totalSolved || 0,
+      contestRating: leetcode?.contestRating || 0,
+      acceptance: leetcode?.acceptanceRate || 0
+    },
+    softSkills: {
+      overallScore: softSkillsAssessment?.overallSoftSkillsScore || null,
+      strengths: softSkillsAssessment?.strengths || [],
+      improvements: softSkillsAssessment?.areasForImprovement || []
+    },
+    previousSkillGaps: student.analysis?.skillGaps || [],
+    learningPlan: await learningPlanProgressForAnalysis(student)
+  };
+  
+  const { data } = await runValidatedLLMTask('profileAnalysis', [
+    {
+      role: "system",
+      content: `You are an expert career advisor for computer science students. Analyze this student's complete profile including academic performance, technical skills, GitHub activity, LeetCode performance, and soft skills assessment. Return ONLY JSON with the following structure:
+      {
+        "strengths": ["Strong programming fundamentals", "Good project portfolio"],
+        "weaknesses": ["Limited industry experience", "Needs more frontend skills"],
+        "recommendations": ["Focus on learning React", "Contribute to open source"],
+        "overallScore": 78,
+        "skillGaps": ["Cloud computing", "DevOps"],
+        "careerSuggestions": ["Full Stack Developer", "Backend Engineer"],
+        "learningPath": ["Take AWS certification", "Learn Docker and Kubernetes"],
+        "detailedAnalysis": "The student shows strong potential in backend development with solid academic performance..."
+      }
+      
+      Provide specific, actionable insights based on ALL available data including academic performance, technical skills, GitHub activity, LeetCode performance, and soft skills.
+      When a learningPlan is given, take its progress into account: do not list a previous skill gap again if its milestones are completed and the profile shows the skill, and call out overdue milestones in the recommendations.`
+    },
+    {
+      role: "user",
+      content: `Analyze this comprehensive student profile:\n${JSON.stringify(studentProfile, null, 2)}`
+    }
+  ]);
+
+  return {
+    strengths: data.strengths,
+    weaknesses: data.weaknesses,
+    recommendations: data.recommendations,
+    overallScore: data.overallScore,
+    skillGaps: data.skillGaps,
+    careerSuggestions: data.careerSuggestions,
+    learningPath: data.learningPath,
+    detailedAnalysis: data.detailedAnalysis
+  };
+};
+
+// Get a student's semester-by-semester academic record
+app.get('/api/students/:id/academics', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    res.json({
+      studentInfo: {
+        name: student.name,
+        usn: student.usn,
+        semester: student.semester
+      },
+      cgpa: student.marks?.cgpa ?? null,
+      backlogs: student.marks?.backlogs || 0,
+      trend: buildAcademicTrend(student),
+      semesters: student.marks?.semesters || []
+    });
+  } catch (error) {
+    console.error('Error fetching academics:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching academic record' });
+  }
+});
+
+// Enter or correct one semester's marks by hand (e.g. to fill in credits missing from a scan)
+app.put('/api/students/:id/academics/semesters/:semester', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const semester = parseInt(req.params.semester);
+    if (isNaN(semester) || semester < 1 || semester > 8) {
+      return res.status(400).json({ error: 'Invalid semester. Must be between 1 and 8.' });
+    }
+
+    const { subjects, totalPercentage } = req.body;
+    if (!Array.isArray(subjects) || subjects.length === 0) {
+      return res.status(400).json({ error: 'Subjects are required' });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    const semesterRecord = applySemesterMarks(student, { semester, subjects, totalPercentage });
+    await student.save();
+
+    res.json({
+      semester: semesterRecord,
+      cgpa: student.marks.cgpa,
+      trend: buildAcademicTrend(student)
+    });
+  } catch (error) {
+    console.error('Error updating semester marks:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating semester marks' });
+  }
+});
+
+// FIXED: Student analysis endpoint  
+app.post('/api/students/usn/:usn/analyze', async (req, res) => {
+  try {
+    const student = await Student.findOne({ usn: req.params.usn.toUpperCase() });
+    
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+    
+    const job = await enqueueJob({
+      type: 'profileAnalysis',
+      payload: { studentId: student._id },
+      student,
+      user: req.user
+    });
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error('❌ Error queueing student analysis:', error);
+    res.status(500).json({ error: 'Error analyzing student data' });
+  }
+});
+
+// Insert or replace one semester's marks on a student and recompute CGPA
+const applySemesterMarks = (student, marksData, fallbackSemester) => {
+  const semesterNumber = parseInt(marksData.semester) || parseInt(fallbackSemester) || student.semester;
+  const subjects = (marksData.subjects || []).map(normalizeSubjectMarks);
+  const gpa = computeSemesterGpa(subjects);
+
+  const semesterRecord = {
+    semester: semesterNumber,
+    subjects,
+    sgpa: gpa.sgpa ?? toNumberOrNull(marksData.sgpa),
+    totalCredits: gpa.totalCredits,
+    creditPoints: gpa.creditPoints,
+    earnedCredits: gpa.earnedCredits,
+    backlogs: gpa.backlogs,
+    totalPercentage: toNumberOrNull(marksData.totalPercentage),
+    detailedAnalysis: marksData.detailedAnalysis,
+    filename: marksData.filename,
+    extractedTextLength: marksData.extractedTextLength,
+    updatedAt: new Date()
+  };
+
+  const existing = student.marks?.semesters ? student.marks.semesters.toObject() : [];
+  const semesters = existing
+    .filter(record => record.semester !== semesterNumber)
+    .concat(semesterRecord)
+    .sort((a, b) => a.semester - b.semester);
+
+  // Top-level fields mirror the most recently uploaded semester for existing clients
+  student.marks = {
+    semesters,
+    subjects,
+    totalPercentage: semesterRecord.totalPercentage,
+    cgpa: computeCgpa(semesters),
+    semester: semesterNumber,
+    backlogs: semesters.reduce((sum, record) => sum + (record.backlogs || 0), 0),
+    detailedAnalysis: marksData.detailedAnalysis,
+    filename: marksData.filename,
+    extractedTextLength: marksData.extractedTextLength
+  };
+
+  return semesterRecord;
+};
+
+const buildAcademicTrend = (student) => {
+  const semesters = student.marks?.semesters || [];
+  return semesters.map((record, index) => ({
+    semester: record.semester,
+    sgpa: record.sgpa,
+    totalCredits: record.totalCredits,
+    earnedCredits: record.earnedCredits,
+    backlogs: record.backlogs,
+    subjectCount: record.subjects.length,
+    changeFromPrevious: index > 0 && typeof record.sgpa === 'number' && typeof semesters[index - 1].sgpa === 'number'
+      ? Math.round((record.sgpa - semesters[index - 1].sgpa) * 100) / 100
+      : null,
+    cgpaToDate: computeCgpa(semesters.slice(0, index + 1))
+  }));
+};
+
+// Analysis history helpers
+const summarizeUpload = (file, extra = {}) => ({
+  filename: file.originalname,
+  size: file.size,
+  mimetype: file.mimetype,
+  ...extra
+});
+
+const summarizeProfileInput = (student) => ({
+  semester: student.semester,
+  cgpa: student.marks?.cgpa ?? null,
+  resumeSkills: student.resume?.skills?.length || 0,
+  githubRepositories: student.github?.repositories ?? null,
+  leetcodeSolved: student.leetcode?.totalSolved ?? null,
+  softSkillsScore: student.softSkillsAssessment?.overallSoftSkillsScore ?? null
+});
+
+// Accepts the formatted responses of a finished assessment or the raw request responses of a failed one
+const summarizeSoftSkillsInput = (responses) => ({
+  questionIds: responses.map((response, index) => response.questionId || index + 1),
+  answerLengths: responses.map(response => (response.studentAnswer ?? response.answer ?? '').length)
+});
+
+// LLM task whose model produced each snapshot type
+const SNAPSHOT_LLM_TASKS = {
+  analysis: 'profileAnalysis',
+  softSkills: 'softSkills',
+  resume: 'resumeReview',
+  marks: 'marksStructure'
+};
+
+// Store a snapshot of an analysis run; failures are logged so they never break the analysis itself
+const recordSnapshot = async ({ student, type, inputSummary, model = getLLMTaskConfig(SNAPSHOT_LLM_TASKS[type]).model, output, user, status = 'completed', error }) => {
+  try {
+    return await AnalysisSnapshot.create({
+      student: student._id,
+      type,
+      status,
+      semester: student.semester,
+      inputSummary,
+      model,
+      output: typeof output?.toObject === 'function' ? output.toObject() : output,
+      error,
+      createdBy: user?._id
+    });
+  } catch (snapshotError) {
+    console.error(`Error recording ${type} snapshot:`, snapshotError);
+    return null;
+  }
+};
+
+// Record a run whose model output never validated; the student record itself is left untouched
+const recordFailedRun = ({ student, type, inputSummary, error, user }) => recordSnapshot({
+  student,
+  type,
+  inputSummary,
+  model: error.model,
+  output: null,
+  user,
+  status: 'failed',
+  error: {
+    message: error.message,
+    validationErrors: error.validationErrors,
+    attempts: error.attempts
+  }
+});
+
+const failedRunResponse = (error, snapshot) => ({
+  success: false,
+  status: 'failed',
+  error: 'The model did not return a valid analysis, so nothing was saved',
+  details: error.validationErrors,
+  attempts: error.attempts,
+  snapshotId: snapshot?._id || null
+});
+
+// Save an upload analysis to req.body.studentId (if the caller may access it) and record it in the history
+const saveUploadAnalysis = async (req, type, output, inputExtra = {}) => {
+  try {
+    const student = await Student.findById(req.body.studentId);
+    if (!student || !canAccessStudent(req.user, student)) {
+      console.warn(`⚠️ Not saving ${type} analysis: student ${req.body.studentId} not found or not accessible`);
+      return false;
+    }
+
+    if (type === 'marks') {
+      applySemesterMarks(student, output, req.body.semester);
+    } else {
+      student[type] = output;
+    }
+    await student.save();
+    await recordSnapshot({
+      student,
+      type,
+      inputSummary: summarizeUpload(req.file, inputExtra),
+      output,
+      user: req.user
+    });
+    console.log(`✅ ${type} analysis saved to student profile:`, student.usn);
+    return true;
+  } catch (error) {
+    console.error(`Error saving ${type} analysis:`, error);
+    return false;
+  }
+};
+
+// Flatten a snapshot output into dotted paths so two runs can be compared field by field
+const flattenForDiff = (value, prefix = '', result = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, nested]) => {
+      if (key === '_id') return;
+      flattenForDiff(nested, prefix ? `${prefix}.${key}` : key, result);
+    });
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+const diffSnapshots = (fromOutput, toOutput) => {
+  const from = flattenForDiff(fromOutput || {});
+  const to = flattenForDiff(toOutput || {});
+  const numeric = {};
+  const lists = {};
+  const changed = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+    const before = from[key];
+    const after = to[key];
+
+    if (typeof before === 'number' || typeof after === 'number') {
+      if (before !== after) {
+        numeric[key] = {
+          from: before ?? null,
+          to: after ?? null,
+          change: typeof before === 'number' && typeof after === 'number'
+            ? Math.round((after - before) * 100) / 100
+            : null
+        };
+      }
+    } else if (Array.isArray(before) || Array.isArray(after)) {
+      const beforeList = Array.isArray(before) ? before : [];
+      const afterList = Array.isArray(after) ? after : [];
+      if (beforeList.every(item => typeof item === 'string') && afterList.every(item => typeof item === 'string')) {
+        const added = afterList.filter(item => !beforeList.includes(item));
+        const removed = beforeList.filter(item => !afterList.includes(item));
+        if (added.length || removed.length) {
+          lists[key] = { added, removed };
+        }
+      } else if (beforeList.length !== afterList.length) {
+        lists[key] = { countFrom: beforeList.length, countTo: afterList.length };
+      }
+    } else if (typeof before === 'string' || typeof after === 'string') {
+      if (before !== after && !/date|detailedAnalysis|feedback/i.test(key)) {
+        changed[key] = { from: before ?? null, to: after ?? null };
+      }
+    }
+  });
+
+  return { numeric, lists, changed };
+};
+
+// Get the analysis history for a student
+app.get('/api/students/:id/history', async (req, res) => {
+  try {
+    const { type, status, limit = 20, offset = 0 } = req.query;
+
+    if (type && !SNAPSHOT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${SNAPSHOT_TYPES.join(', ')}` });
+    }
+    if (status && !['completed', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: completed, failed' });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    const query = { student: student._id };
+    if (type) {
+      query.type = type;
+    }
+    if (status === 'failed') {
+      query.status = 'failed';
+    } else if (status === 'completed') {
+      // Snapshots recorded before runs had a status are all completed runs
+      query.status = { $ne: 'failed' };
+    }
+
+    const snapshots = await AnalysisSnapshot.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+
+    const total = await AnalysisSnapshot.countDocuments(query);
+
+    res.json({
+      snapshots,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error fetching analysis history:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching analysis history' });
+  }
+});
+
+// Compare two snapshots (defaults to the two most recent runs of the given type)
+app.get('/api/students/:id/history/diff', async (req, res) => {
+  try {
+    const { type, from, to } = req.query;
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    let fromSnapshot;
+    let toSnapshot;
+
+    if (from && to) {
+      [fromSnapshot, toSnapshot] = await Promise.all([
+        AnalysisSnapshot.findOne({ _id: from, student: student._id }),
+        AnalysisSnapshot.findOne({ _id: to, student: student._id })
+      ]);
+    } else {
+      if (!type || !SNAPSHOT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Provide from and to snapshot IDs, or a type (${SNAPSHOT_TYPES.join(', ')})` });
+      }
+      [toSnapshot, fromSnapshot] = await AnalysisSnapshot.find({ student: student._id, type, status: { $ne: 'failed' } })
+        .sort({ createdAt: -1 })
+        .limit(2);
+    }
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: 'Two snapshots are required to compare' });
+    }
+    if (fromSnapshot.type !== toSnapshot.type) {
+      return res.status(400).json({ error: 'Snapshots must be of the same type' });
+    }
+    if (fromSnapshot.status === 'failed' || toSnapshot.status === 'failed') {
+      return res.status(400).json({ error: 'Failed runs have no output to compare' });
+    }
+
+    res.json({
+      type: fromSnapshot.type,
+      from: { id: fromSnapshot._id, createdAt: fromSnapshot.createdAt, semester: fromSnapshot.semester, model: fromSnapshot.model },
+      to: { id: toSnapshot._id, createdAt: toSnapshot.createdAt, semester: toSnapshot.semester, model: toSnapshot.model },
+      diff: diffSnapshots(fromSnapshot.output, toSnapshot.output)
+    });
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+    res.status(500).json({ error: 'Error comparing snapshots' });
+  }
+});
+
+// Cohort analytics (aggregations over Student, filtered by semester, batch year and branch)
+const CGPA_BUCKETS = [0, 5, 6, 7, 8, 9, 10.01];
+const LEETCODE_SOLVED_BUCKETS = [0, 50, 100, 200, 300, 500, 1000];
+const DEFAULT_COHORT_TOP_LIMIT = 10;
+
+// Count how often each entry of a string array field appears, case-insensitively, most frequent first
+const topValuesPipeline = (field, limit) => [
+  { $unwind: `$${field}` },
+  { $match: { [field]: { $type: 'string', $ne: '' } } },
+  { $group: { _id: { $toLower: { $trim: { input: `$${field}` } } }, label: { $first: { $trim: { input: `$${field}` } } }, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, value: '$label', count: 1 } }
+];
+
+const COHORT_METRICS = {
+  // CGPA histogram per current semester
+  cgpa: () => [
+    { $match: { 'marks.cgpa': { $type: 'number' } } },
+    {
+      $facet: {
+        summary: [
+          { $group: { _id: '$semester', students: { $sum: 1 }, average: { $avg: '$marks.cgpa' }, min: { $min: '$marks.cgpa' }, max: { $max: '$marks.cgpa' } } },
+          { $sort: { _id: 1 } }
+        ],
+        buckets: [
+          { $bucket: { groupBy: '$marks.cgpa', boundaries: CGPA_BUCKETS, default: 'other', output: { count: { $sum: 1 } } } }
+        ],
+        bySemester: [
+          {
+            $group: {
+              _id: {
+                semester: '$semester',
+                // Lower bound of the CGPA_BUCKETS band: 0 (below 5), 5, 6, 7, 8 or 9
+                bucket: { $cond: [{ $lt: ['$marks.cgpa', 5] }, 0, { $min: [{ $floor: '$marks.cgpa' }, 9] }] }
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.semester': 1, '_id.bucket': 1 } }
+        ]
+      }
+    }
+  ],
+
+  // Distribution of problems solved and the easy/medium/hard split
+  leetcode: () => [
+    { $match: { 'leetcode.totalSolved': { $type: 'number' } } },
+    {
+      $facet: {
+        solved: [
+          { $bucket: { groupBy: '$leetcode.totalSolved', boundaries: LEETCODE_SOLVED_BUCKETS, default: '1000+', output: { count: { $sum: 1 } } } }
+        ],
+        difficulty: [
+          {
+            $group: {
+              _id: null,
+              students: { $sum: 1 },
+              easyTotal: { $sum: '$leetcode.easySolved' },
+              mediumTotal: { $sum: '$leetcode.mediumSolved' },
+              hardTotal: { $sum: '$leetcode.hardSolved' },
+              easyAverage: { $avg: '$leetcode.easySolved' },
+              mediumAverage: { $avg: '$leetcode.mediumSolved' },
+              hardAverage: { $avg: '$leetcode.hardSolved' },
+              contestRatingAverage: { $avg: '$leetcode.contestRating' }
+            }
+          },
+          { $project: { _id: 0 } }
+        ]
+      }
+    }
+  ],
+
+  // Languages by number of students using them (bytes summed across the cohort)
+  githubLanguages: (limit) => [
+    { $unwind: '$github.languageStats' },
+    { $group: { _id: '$github.languageStats.name', students: { $addToSet: '$_id' }, bytes: { $sum: '$github.languageStats.bytes' } } },
+    { $project: { _id: 0, language: '$_id', students: { $size: '$students' }, bytes: 1 } },
+    { $sort: { students: -1, bytes: -1 } },
+    { $limit: limit }
+  ],
+
+  // Average rubric score per skill; skills flagged as insufficient evidence have no score and are left out
+  softSkills: () => [
+    { $match: { 'softSkillsAssessment.assessmentDate': { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        assessedStudents: { $sum: 1 },
+        overallAverage: { $avg: '$softSkillsAssessment.overallSoftSkillsScore' },
+        ...Object.fromEntries(SOFT_SKILL_KEYS.flatMap(skill => [
+          [`${skill}Average`, { $avg: `$softSkillsAssessment.skillBreakdown.${skill}.score` }],
+          [`${skill}Scored`, { $sum: { $cond: [{ $isNumber: `$softSkillsAssessment.skillBreakdown.${skill}.score` }, 1, 0] } }]
+        ]))
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        assessedStudents: 1,
+        overallAverage: 1,
+        skills: Object.fromEntries(SOFT_SKILL_KEYS.map(skill => [skill, {
+          average: `$${skill}Average`,
+          scoredStudents: `$${skill}Scored`
+        }]))
+      }
+    }
+  ],
+
+  skillGaps: (limit) => topValuesPipeline('analysis.skillGaps', limit),
+
+  careerSuggestions: (limit) => topValuesPipeline('analysis.careerSuggestions', limit)
+};
+
+const runCohortMetric = async (metric, match, limit) => {
+  const results = await Student.aggregate([{ $match: match }, ...COHORT_METRICS[metric](limit)]);
+  // Single-group metrics return one document; list metrics return the rows as they are
+  return ['cgpa', 'leetcode', 'softSkills'].includes(metric) ? (results[0] || null) : results;
+};
+
+// All cohort metrics at once
+app.get('/api/analytics/cohort', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const match = { ...buildCohortMatch(req.query), ...menteeScope(req.user) };
+    const limit = parseInt(req.query.limit) || DEFAULT_COHORT_TOP_LIMIT;
+
+    const metrics = Object.keys(COHORT_METRICS);
+    const [students, ...results] = await Promise.all([
+      Student.countDocuments(match),
+      ...metrics.map(metric => runCohortMetric(metric, match, limit))
+    ]);
+
+    res.json({
+      filters: match,
+      students,
+      ...Object.fromEntries(metrics.map((metric, index) => [metric, results[index]]))
+    });
+  } catch (error) {
+    console.error('Error computing cohort analytics:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error computing cohort analytics' });
+  }
+});
+
+// One cohort metric: cgpa, leetcode, githubLanguages, softSkills, skillGaps or careerSuggestions
+app.get('/api/analytics/cohort/:metric', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { metric } = req.params;
+    if (!COHORT_METRICS[metric]) {
+      return res.status(404).json({ error: `Unknown metric. Must be one of: ${Object.keys(COHORT_METRICS).join(', ')}` });
+    }
+
+    const match = { ...buildCohortMatch(req.query), ...menteeScope(req.user) };
+    const limit = parseInt(req.query.limit) || DEFAULT_COHORT_TOP_LIMIT;
+
+    res.json({
+      filters: match,
+      metric,
+      data: await runCohortMetric(metric, match, limit)
+    });
+  } catch (error) {
+    console.error('Error computing cohort analytics:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error computing cohort analytics' });
+  }
+});
+
+// Batch re-analysis (e.g. after a model or prompt change), run as a cohortReanalysis background job
+const REANALYZE_DEFAULT_CONCURRENCY = 2;
+const REANALYZE_MAX_CONCURRENCY = parseInt(process.env.REANALYZE_MAX_CONCURRENCY || '5');
+
+// Cohort filter plus staleSince (only students without a completed analysis since that date) and the
+// requesting mentor's id when the request was scoped to their mentees
+const buildReanalysisMatch = async ({ staleSince, mentor, ...cohort }) => {
+  const match = buildCohortMatch(cohort);
+  if (mentor) {
+    match.mentor = mentor;
+  }
+  if (staleSince) {
+    const freshStudents = await AnalysisSnapshot.distinct('student', {
+      type: 'analysis',
+      status: 'completed',
+      createdAt: { $gte: new Date(staleSince) }
+    });
+    match._id = { $nin: freshStudents };
+  }
+  return match;
+};
+
+app.post('/api/analytics/reanalyze', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const { semester, batchYear, branch, staleSince, concurrency = REANALYZE_DEFAULT_CONCURRENCY } = req.body;
+
+    if (semester === undefined && batchYear === undefined && !branch && !staleSince) {
+      return res.status(400).json({ error: 'Give at least one filter: semester, batchYear, branch or staleSince' });
+    }
+    if (staleSince && isNaN(new Date(staleSince).getTime())) {
+      return res.status(400).json({ error: 'staleSince must be a valid date' });
+    }
+    const limit = parseInt(concurrency);
+    if (!(limit >= 1 && limit <= REANALYZE_MAX_CONCURRENCY)) {
+      return res.status(400).json({ error: `concurrency must be between 1 and ${REANALYZE_MAX_CONCURRENCY}` });
+    }
+
+    const filter = {
+      semester,
+      batchYear,
+      branch,
+      staleSince: staleSince ? new Date(staleSince).toISOString() : undefined,
+      mentor: menteeScope(req.user).mentor?.toString()
+    };
+    const matched = await Student.countDocuments(await buildReanalysisMatch(filter));
+    if (matched === 0) {
+      return res.status(404).json({ error: 'No students match the filter' });
+    }
+
+    const job = await enqueueJob({
+      type: 'cohortReanalysis',
+      payload: { filter, concurrency: limit },
+      user: req.user
+    });
+    res.status(202).json({ ...jobAcceptedResponse(job), matched, concurrency: limit });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error queueing cohort re-analysis:', error);
+    res.status(500).json({ error: 'Error queueing cohort re-analysis' });
+  }
+});
+
+// Placement readiness index: a deterministic 0-100 score from stored data, ranked within the semester cohort
+// Every component is scaled to 0-100; the values below are where a component reaches 100
+const READINESS_SCALES = {
+  leetcodeWeightedSolved: 600,
+  contestRatingFloor: 1200,
+  contestRatingCeiling: 2200,
+  githubContributions: 500,
+  githubRepos: 20,
+  githubLanguages: 5,
+  resumeSkills: 5,
+  resumeProjects: 2
+};
+
+// Weights in use; refreshed by loadReadinessConfig whenever the stored version changes, so the job worker
+// and other instances pick up an update made through another process
+let readinessConfig = DEFAULT_READINESS_CONFIG;
+
+const scaleTo100 = (value, max) => Math.max(0, Math.min(100, (value / max) * 100));
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Each component returns a 0-100 score, or null when the student has no data for it
+const READINESS_COMPONENT_SCORES = {
+  cgpa: (student) => (typeof student.marks?.cgpa === 'number' ? scaleTo100(student.marks.cgpa, 10) : null),
+
+  // Problems weighted by difficulty, blended 70/30 with contest rating when the student has one
+  leetcode: (student, config) => {
+    const leetcode = student.leetcode;
+    if (!leetcode || typeof leetcode.totalSolved !== 'number') return null;
+
+    const { easy, medium, hard } = config.leetcodeDifficultyWeights;
+    const weightedSolved = (leetcode.easySolved || 0) * easy + (leetcode.mediumSolved || 0) * medium + (leetcode.hardSolved || 0) * hard;
+    const problemScore = scaleTo100(weightedSolved, READINESS_SCALES.leetcodeWeightedSolved);
+    if (!leetcode.contestRating) return problemScore;
+
+    const contestScore = scaleTo100(
+      leetcode.contestRating - READINESS_SCALES.contestRatingFloor,
+      READINESS_SCALES.contestRatingCeiling - READINESS_SCALES.contestRatingFloor
+    );
+    return problemScore * 0.7 + contestScore * 0.3;
+  },
+
+  // Contributions over the last year, public repositories and language breadth (60/25/15)
+  github: (student) => {
+    const github = student.github;
+    if (!github?.username) return null;
+
+    return scaleTo100(github.contributionsLastYear || 0, READINESS_SCALES.githubContributions) * 0.6 +
+      scaleTo100(github.publicRepos || 0, READINESS_SCALES.githubRepos) * 0.25 +
+      scaleTo100((github.languages || []).length, READINESS_SCALES.githubLanguages) * 0.15;
+  },
+
+  softSkills: (student) => (typeof student.softSkillsAssessment?.overallSoftSkillsScore === 'number'
+    ? student.softSkillsAssessment.overallSoftSkillsScore
+    : null),
+
+  // Completeness of the parsed resume: skills, projects, experience, education and certifications (20 each)
+  resume: (student) => {
+    const resume = student.resume;
+    if (!resume?.filename) return null;
+
+    return scaleTo100((resume.skills || []).length, READINESS_SCALES.resumeSkills) * 0.2 +
+      scaleTo100((resume.projects || []).length, READINESS_SCALES.resumeProjects) * 0.2 +
+      ((resume.experience || []).length > 0 ? 20 : 0) +
+      ((resume.education || []).length > 0 ? 20 : 0) +
+      ((resume.certifications || []).length > 0 ? 20 : 0);
+  }
+};
+
+// Missing data counts as 0 so students cannot rank higher by leaving sections empty
+const computeReadiness = (student, config = readinessConfig) => {
+  const totalWeight = READINESS_COMPONENTS.reduce((sum, component) => sum + config.weights[component], 0);
+  const components = {};
+  const missingComponents = [];
+  let index = 0;
+
+  READINESS_COMPONENTS.forEach(component => {
+    const score = READINESS_COMPONENT_SCORES[component](student, config);
+    if (score === null) {
+      missingComponents.push(component);
+    }
+    components[component] = score === null ? null : roundTo(score, 1);
+    index += (score || 0) * config.weights[component] / totalWeight;
+  });
+
+  return {
+    index: roundTo(index, 1),
+    components,
+    missingComponents,
+    configVersion: config.version,
+    computedAt: new Date()
+  };
+};
+
+// Percentile rank within the semester cohort: share of students below, counting ties as half
+const computeReadinessPercentile = async (student, index) => {
+  const cohort = { semester: student.semester, _id: { $ne: student._id }, 'readiness.index': { $type: 'number' } };
+  const [below, equal, total] = await Promise.all([
+    Student.countDocuments({ ...cohort, 'readiness.index': { $lt: index } }),
+    Student.countDocuments({ ...cohort, 'readiness.index': index }),
+    Student.countDocuments(cohort)
+  ]);
+  if (total === 0) return null;
+  return roundTo((below + equal / 2) / total * 100, 1);
+};
+
+// Only the version is read on each call; the full config is fetched when it changed
+const loadReadinessConfig = async () => {
+  const latest = await ReadinessConfig.findOne({}, { version: 1 }).sort({ updatedAt: -1 }).lean();
+  if (latest && latest.version !== readinessConfig.version) {
+    const stored = await ReadinessConfig.findById(latest._id);
+    if (stored) {
+      readinessConfig = stored.toObject();
+    }
+  }
+  return readinessConfig;
+};
+
+// Recompute stored indexes computed with an older config (or never computed)
+const recomputeStaleReadiness = async () => {
+  const cursor = Student.find({ 'readiness.configVersion': { $ne: readinessConfig.version } }).cursor();
+  let updates = [];
+  let recomputed = 0;
+
+  for (let student = await cursor.next(); student; student = await cursor.next()) {
+    updates.push({ updateOne: { filter: { _id: student._id }, update: { $set: { readiness: computeReadiness(student) } } } });
+    if (updates.length === 500) {
+      await Student.bulkWrite(updates);
+      recomputed += updates.length;
+      updates = [];
+    }
+  }
+  if (updates.length > 0) {
+    await Student.bulkWrite(updates);
+    recomputed += updates.length;
+  }
+
+  if (recomputed > 0) {
+    console.log(`✅ Recomputed readiness for ${recomputed} students`);
+  }
+  return recomputed;
+};
+
+// Get a student's readiness index with its components and semester percentile
+app.get('/api/students/:id/readiness', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    await loadReadinessConfig();
+    const readiness = computeReadiness(student);
+    const percentile = await computeReadinessPercentile(student, readiness.index);
+
+    res.json({
+      student: { id: student._id, name: student.name, usn: student.usn, semester: student.semester },
+      ...readiness,
+      percentile,
+      weights: readinessConfig.weights,
+      leetcodeDifficultyWeights: readinessConfig.leetcodeDifficultyWeights
+    });
+  } catch (error) {
+    console.error('Error computing readiness:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error computing readiness' });
+  }
+});
+
+app.get('/api/readiness/config', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    res.json({ ...(await loadReadinessConfig()), scales: READINESS_SCALES });
+  } catch (error) {
+    console.error('Error fetching readiness config:', error);
+    res.status(500).json({ error: 'Error fetching readiness config' });
+  }
+});
+
+// Change the readiness weights and recompute every stored index
+app.put('/api/readiness/config', authorize('admin'), async (req, res) => {
+  try {
+    await loadReadinessConfig();
+    const config = new ReadinessConfig({
+      weights: { ...readinessConfig.weights, ...req.body.weights },
+      leetcodeDifficultyWeights: { ...readinessConfig.leetcodeDifficultyWeights, ...req.body.leetcodeDifficultyWeights },
+      version: readinessConfig.version + 1,
+      updatedBy: req.user._id
+    });
+    await config.save();
+    await ReadinessConfig.deleteMany({ _id: { $ne: config._id } });
+
+    readinessConfig = config.toObject();
+    const recomputed = await recomputeStaleReadiness();
+
+    console.log(`✅ Readiness config updated (version ${config.version})`);
+    res.json({ ...readinessConfig, recomputed });
+  } catch (error) {
+    console.error('Error updating readiness config:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating readiness config' });
+  }
+});
+
+// Student report card (PDF rendered in-process with PDFKit)
+const REPORT_COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#1d4ed8',
+  grid: '#d1d5db',
+  fill: '#93c5fd'
+};
+const REPORT_PHOTO_SIZE = 90;
+const REPORT_MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+const formatSkillLabel = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
+const formatReportValue = (value, suffix = '') => (value === null || value === undefined || value === '' ? 'n/a' : `${value}${suffix}`);
+
+// Photos are only downloaded from hosts we upload to (Cloudinary by default), never from arbitrary student-supplied URLs
+const REPORT_PHOTO_HOSTS = (process.env.REPORT_PHOTO_HOSTS || 'res.cloudinary.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAllowedPhotoUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && !parsed.port && REPORT_PHOTO_HOSTS.includes(parsed.hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+// PDFKit only embeds JPEG and PNG; anything else (or a failed download) leaves the photo out
+const fetchReportPhoto = async (url) => {
+  if (!url) return null;
+  if (!isAllowedPhotoUrl(url)) {
+    console.warn(`⚠️ Skipping report photo from a host that is not allowed: ${url}`);
+    return null;
+  }
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 5000,
+      maxContentLength: REPORT_MAX_PHOTO_BYTES,
+      // A redirect could point anywhere, so treat it as a failed download
+      maxRedirects: 0
+    });
+    const image = Buffer.from(response.data);
+    const isJpeg = image[0] === 0xff && image[1] === 0xd8;
+    const isPng = image.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    return isJpeg || isPng ? image : null;
+  } catch (error) {
+    console.warn(`⚠️ Could not load photo for report (${url}):`, error.message);
+    return null;
+  }
+};
+
+const ensureReportSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const drawReportHeading = (doc, title) => {
+  ensureReportSpace(doc, 60);
+  doc.moveDown(0.8)
+    .font('Helvetica-Bold').fontSize(13).fillColor(REPORT_COLORS.accent)
+    .text(title, doc.page.margins.left);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5).strokeColor(REPORT_COLORS.grid).stroke();
+  doc.moveDown(0.4).font('Helvetica').fontSize(10).fillColor(REPORT_COLORS.text);
+};
+
+const drawReportFacts = (doc, facts) => {
+  doc.font('Helvetica').fontSize(10).fillColor(REPORT_COLORS.text)
+    .text(facts.map(([label, value]) => `${label}: ${value}`).join('    '), doc.page.margins.left);
+};
+
+const drawReportList = (doc, title, items, emptyText = 'None recorded') => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(REPORT_COLORS.text).text(title, doc.page.margins.left);
+  doc.font('Helvetica').fontSize(10);
+  if (!items || items.length === 0) {
+    doc.fillColor(REPORT_COLORS.muted).text(emptyText, { indent: 10 }).fillColor(REPORT_COLORS.text);
+  } else {
+    doc.list(items, { bulletRadius: 1.5, indent: 10, textIndent: 10 });
+  }
+  doc.moveDown(0.4);
+};
+
+// Fixed-width table; rows are arrays of cell strings
+const drawReportTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, bold) => {
+    ensureReportSpace(doc, 16);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(REPORT_COLORS.text);
+    const heights = cells.map((cell, index) => {
+      const height = doc.heightOfString(String(cell), { width: columns[index].width - 6 });
+      doc.text(String(cell), x, y, { width: columns[index].width - 6 });
+      x += columns[index].width;
+      return height;
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+  doc.x = left;
+};
+
+// Eight-axis radar of the soft-skill scores (1-10); unscored skills sit at the centre
+const drawSoftSkillsRadar = (doc, breakdown, centerX, centerY, radius) => {
+  const axisPoint = (index, value) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * index) / SOFT_SKILL_KEYS.length;
+    return [centerX + Math.cos(angle) * radius * value, centerY + Math.sin(angle) * radius * value];
+  };
+
+  doc.lineWidth(0.5).strokeColor(REPORT_COLORS.grid);
+  [0.2, 0.4, 0.6, 0.8, 1].forEach(ring => {
+    const points = SOFT_SKILL_KEYS.map((key, index) => axisPoint(index, ring));
+    doc.polygon(...points).stroke();
+  });
+  SOFT_SKILL_KEYS.forEach((key, index) => {
+    doc.moveTo(centerX, centerY).lineTo(...axisPoint(index, 1)).stroke();
+  });
+
+  const scorePoints = SOFT_SKILL_KEYS.map((key, index) => axisPoint(index, (breakdown?.[key]?.score || 0) / 10));
+  doc.polygon(...scorePoints)
+    .lineWidth(1.5).fillOpacity(0.4).fillAndStroke(REPORT_COLORS.fill, REPORT_COLORS.accent)
+    .fillOpacity(1);
+
+  doc.font('Helvetica').fontSize(8).fillColor(REPORT_COLORS.text);
+  SOFT_SKILL_KEYS.forEach((key, index) => {
+    const [x, y] = axisPoint(index, 1.18);
+    const score = breakdown?.[key]?.score;
+    const label = `${formatSkillLabel(key)} (${score ?? 'n/a'})`;
+    const width = doc.widthOfString(label);
+    doc.text(label, x - width / 2, y - 4, { lineBreak: false });
+  });
+};
+
+// Write the report for one student into a new PDFKit document; the caller pipes and ends it
+const renderStudentReport = (student, photo) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: `Student report - ${student.name} (${student.usn})`, Author: 'Student Analysis' }
+  });
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header with photo (or initials) on the right
+  const photoX = left + contentWidth - REPORT_PHOTO_SIZE;
+  const headerTop = doc.y;
+  if (photo) {
+    doc.image(photo, photoX, headerTop, { fit: [REPORT_PHOTO_SIZE, REPORT_PHOTO_SIZE] });
+  } else {
+    const initials = student.name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    doc.rect(photoX, headerTop, REPORT_PHOTO_SIZE, REPORT_PHOTO_SIZE).fillAndStroke('#e5e7eb', REPORT_COLORS.grid);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor(REPORT_COLORS.muted)
+      .text(initials, photoX, headerTop + REPORT_PHOTO_SIZE / 2 - 14, { width: REPORT_PHOTO_SIZE, align: 'center' });
+  }
+
+  const headerWidth = contentWidth - REPORT_PHOTO_SIZE - 20;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(REPORT_COLORS.text).text(student.name, left, headerTop, { width: headerWidth });
+  doc.font('Helvetica').fontSize(11).fillColor(REPORT_COLORS.muted)
+    .text(`${student.usn}  |  Semester ${student.semester}${student.branch ? `  |  ${student.branch}` : ''}${student.batchYear ? `  |  Batch ${student.batchYear}` : ''}`, { width: headerWidth })
+    .text(student.email, { width: headerWidth });
+  if (student.readiness?.index !== undefined && student.readiness?.index !== null) {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).fillColor(REPORT_COLORS.accent)
+      .text(`Placement readiness: ${student.readiness.index}/100`, { width: headerWidth });
+  }
+  doc.y = Math.max(doc.y, headerTop + REPORT_PHOTO_SIZE);
+
+  // Academics
+  const marks = student.marks || {};
+  drawReportHeading(doc, 'Academics');
+  drawReportFacts(doc, [
+    ['CGPA', formatReportValue(marks.cgpa)],
+    ['Percentage', formatReportValue(marks.totalPercentage, '%')],
+    ['Backlogs', formatReportValue(marks.backlogs)]
+  ]);
+  const semesters = [...(marks.semesters || [])].sort((a, b) => a.semester - b.semester);
+  if (semesters.length > 0) {
+    doc.moveDown(0.4);
+    drawReportTable(doc, [
+      { header: 'Semester', width: 80 },
+      { header: 'SGPA', width: 80 },
+      { header: 'Credits earned', width: 110 },
+      { header: 'Percentage', width: 100 },
+      { header: 'Backlogs', width: 80 }
+    ], semesters.map(entry => [
+      entry.semester,
+      formatReportValue(entry.sgpa),
+      formatReportValue(entry.earnedCredits ?? entry.totalCredits),
+      formatReportValue(entry.totalPercentage, '%'),
+      formatReportValue(entry.backlogs)
+    ]));
+  }
+
+  // GitHub
+  const github = student.github || {};
+  drawReportHeading(doc, 'GitHub');
+  drawReportFacts(doc, [
+    ['Username', formatReportValue(github.username)],
+    ['Public repos', formatReportValue(github.publicRepos ?? github.repositories)],
+    ['Followers', formatReportValue(github.followers)],
+    ['Contributions (1y)', formatReportValue(github.contributionsLastYear)]
+  ]);
+  if (github.languages?.length) {
+    doc.text(`Languages: ${github.languages.slice(0, 10).join(', ')}`, left, doc.y, { width: contentWidth });
+  }
+  if (github.topRepos?.length) {
+    doc.moveDown(0.4);
+    drawReportTable(doc, [
+      { header: 'Repository', width: 130 },
+      { header: 'Language', width: 80 },
+      { header: 'Stars', width: 45 },
+      { header: 'Description', width: contentWidth - 255 }
+    ], github.topRepos.slice(0, 5).map(repo => [
+      repo.name,
+      formatReportValue(repo.language),
+      formatReportValue(repo.stars),
+      repo.description ? repo.description.slice(0, 120) : ''
+    ]));
+  }
+
+  // LeetCode
+  const leetcode = student.leetcode || {};
+  drawReportHeading(doc, 'LeetCode');
+  drawReportFacts(doc, [
+    ['Solved', formatReportValue(leetcode.totalSolved)],
+    ['Easy', formatReportValue(leetcode.easySolved)],
+    ['Medium', formatReportValue(leetcode.mediumSolved)],
+    ['Hard', formatReportValue(leetcode.hardSolved)]
+  ]);
+  drawReportFacts(doc, [
+    ['Contest rating', formatReportValue(leetcode.contestRating)],
+    ['Ranking', formatReportValue(leetcode.ranking)],
+    ['Acceptance', formatReportValue(leetcode.acceptanceRate, '%')]
+  ]);
+
+  // Soft skills
+  const softSkills = student.softSkillsAssessment || {};
+  drawReportHeading(doc, 'Soft skills');
+  if (softSkills.assessmentDate) {
+    drawReportFacts(doc, [
+      ['Overall', formatReportValue(softSkills.overallSoftSkillsScore, '/100')],
+      ['Assessed', new Date(softSkills.assessmentDate).toISOString().slice(0, 10)]
+    ]);
+    const radius = 80;
+    ensureReportSpace(doc, radius * 2 + 60);
+    const centerY = doc.y + radius + 30;
+    drawSoftSkillsRadar(doc, softSkills.skillBreakdown, left + contentWidth / 2, centerY, radius);
+    doc.x = left;
+    doc.y = centerY + radius + 30;
+  } else {
+    doc.fillColor(REPORT_COLORS.muted).text('No soft skills assessment taken yet', left).fillColor(REPORT_COLORS.text);
+  }
+
+  // Profile analysis
+  const analysis = student.analysis || {};
+  drawReportHeading(doc, 'Profile analysis');
+  if (analysis.overallScore !== undefined && analysis.overallScore !== null) {
+    drawReportFacts(doc, [['Overall score', `${analysis.overallScore}/100`]]);
+    doc.moveDown(0.4);
+  }
+  drawReportList(doc, 'Strengths', analysis.strengths);
+  drawReportList(doc, 'Weaknesses', analysis.weaknesses);
+  drawReportList(doc, 'Learning path', analysis.learningPath);
+
+  // Footer on every page
+  const generatedAt = new Date().toISOString().slice(0, 10);
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(REPORT_COLORS.muted)
+      .text(`Generated ${generatedAt}  |  Page ${index + 1} of ${range.count}`, left, doc.page.height - 35, { width: contentWidth, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  return doc;
+};
+
+const reportFilename = (student) => `${student.usn}-report.pdf`;
+
+// Download a student's report card
+app.get('/api/students/:id/report.pdf', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    const doc = renderStudentReport(student, await fetchReportPhoto(student.photo));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${reportFilename(student)}"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Error generating report:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Error generating report' });
+  }
+});
+
+// Download every report card of a semester as one ZIP (one PDF per student, rendered one at a time)
+app.get('/api/students/semester/:semester/reports.zip', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const semester = parseInt(req.params.semester);
+    if (isNaN(semester) || semester < 1 || semester > 8) {
+      return res.status(400).json({ error: 'Invalid semester. Must be between 1 and 8.' });
+    }
+    const filter = { semester, ...menteeScope(req.user) };
+    const total = await Student.countDocuments(filter);
+    if (total === 0) {
+      return res.status(404).json({ error: `No students found in semester ${semester}` });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', warning => console.warn('⚠️ Report archive warning:', warning.message));
+    archive.on('error', error => res.destroy(error));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="semester-${semester}-reports.zip"`);
+    archive.pipe(res);
+
+    for await (const student of Student.find(filter).sort({ usn: 1 }).cursor()) {
+      const doc = renderStudentReport(student, await fetchReportPhoto(student.photo));
+      const entryAdded = once(archive, 'entry');
+      archive.append(doc, { name: reportFilename(student) });
+      doc.end();
+      // Wait for the entry to be written so only one report is in memory at a time
+      await entryAdded;
+    }
+    await archive.finalize();
+    console.log(`📦 Generated ${total} report cards for semester ${semester}`);
+  } catch (error) {
+    console.error('Error generating semester reports:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Error generating semester reports' });
+  }
+});
+
+// Job posting matching: eligibility (semester, minimum CGPA) filters, then a weighted 0-100 score
+// Without required skills on the posting, the other criteria share its weight
+const JOB_MATCH_WEIGHTS = { skills: 0.5, leetcode: 0.2, careerFitness: 0.2, cgpa: 0.1 };
+const JOB_MATCH_DEFAULT_LIMIT = 50;
+const JOB_MATCH_MAX_LIMIT = 500;
+
+const JOB_MATCH_STUDENT_FIELDS = {
+  name: 1,
+  usn: 1,
+  semester: 1,
+  branch: 1,
+  'marks.cgpa': 1,
+  'resume.skills': 1,
+  'github.languages': 1,
+  leetcode: 1,
+  'softSkillsAssessment.careerFitness': 1
+};
+
+const JOB_POSTING_FIELDS = ['title', 'company', 'description', 'roleType', 'requiredSkills', 'minCgpa', 'eligibleSemesters', 'active'];
+
+// Skills a student can show: parsed resume skills plus GitHub languages, compared by taxonomy name
+const studentSkillSet = (student) => new Set(
+  [...(student.resume?.skills || []), ...(student.github?.languages || [])]
+    .map(skill => canonicalSkillName(skill).toLowerCase())
+);
+
+const checkPostingEligibility = (posting, student) => {
+  const reasons = [];
+  if (posting.eligibleSemesters.length > 0 && !posting.eligibleSemesters.includes(student.semester)) {
+    reasons.push(`Semester ${student.semester} is not eligible (open to ${posting.eligibleSemesters.join(', ')})`);
+  }
+  if (typeof posting.minCgpa === 'number') {
+    const cgpa = student.marks?.cgpa;
+    if (typeof cgpa !== 'number') {
+      reasons.push(`No CGPA on record (minimum ${posting.minCgpa})`);
+    } else if (cgpa < posting.minCgpa) {
+      reasons.push(`CGPA ${cgpa} is below the minimum ${posting.minCgpa}`);
+    }
+  }
+  return reasons;
+};
+
+// Score one student against a posting with an explanation per criterion; missing data scores 0
+const scoreStudentForPosting = (posting, student) => {
+  const skills = studentSkillSet(student);
+  const matchedSkills = posting.requiredSkills.filter(skill => skills.has(skill.toLowerCase()));
+  const missingSkills = posting.requiredSkills.filter(skill => !skills.has(skill.toLowerCase()));
+
+  const leetcode = student.leetcode || {};
+  const leetcodeScore = READINESS_COMPONENT_SCORES.leetcode(student, readinessConfig);
+  const fitness = student.softSkillsAssessment?.careerFitness?.[JOB_ROLE_TYPES[posting.roleType]];
+  const cgpa = student.marks?.cgpa;
+
+  const criteria = {
+    skills: posting.requiredSkills.length > 0 ? {
+      score: (matchedSkills.length / posting.requiredSkills.length) * 100,
+      explanation: `Has ${matchedSkills.length} of ${posting.requiredSkills.length} required skills` +
+        (missingSkills.length > 0 ? `; missing ${missingSkills.join(', ')}` : '')
+    } : null,
+    leetcode: {
+      score: leetcodeScore ?? 0,
+      explanation: leetcodeScore === null
+        ? 'No LeetCode data'
+        : `${leetcode.easySolved || 0} easy, ${leetcode.mediumSolved || 0} medium, ${leetcode.hardSolved || 0} hard solved` +
+          (leetcode.contestRating ? `, contest rating ${leetcode.contestRating}` : '')
+    },
+    careerFitness: {
+      score: typeof fitness === 'number' ? scaleTo100(fitness, 10) : 0,
+      explanation: typeof fitness === 'number'
+        ? `Fitness for ${posting.roleType} roles is ${fitness}/10 in the soft skills assessment`
+        : 'No soft skills assessment'
+    },
+    cgpa: {
+      score: typeof cgpa === 'number' ? scaleTo100(cgpa, 10) : 0,
+      explanation: typeof cgpa === 'number' ? `CGPA ${cgpa}` : 'No CGPA on record'
+    }
+  };
+
+  const applicable = Object.keys(JOB_MATCH_WEIGHTS).filter(criterion => criteria[criterion]);
+  const totalWeight = applicable.reduce((sum, criterion) => sum + JOB_MATCH_WEIGHTS[criterion], 0);
+  const score = applicable.reduce((sum, criterion) => sum + criteria[criterion].score * JOB_MATCH_WEIGHTS[criterion], 0) / totalWeight;
+
+  return {
+    score: roundTo(score, 1),
+    criteria: Object.fromEntries(applicable.map(criterion => [criterion, {
+      score: roundTo(criteria[criterion].score, 1),
+      weight: roundTo(JOB_MATCH_WEIGHTS[criterion] / totalWeight, 2),
+      explanation: criteria[criterion].explanation
+    }])),
+    matchedSkills,
+    missingSkills
+  };
+};
+
+// Job posting management (staff)
+app.get('/api/job-postings', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+    if (req.query.company) {
+      filter.company = new RegExp(`^${escapeRegExp(String(req.query.company))}$`, 'i');
+    }
+    const postings = await JobPosting.find(filter).sort({ createdAt: -1 });
+    res.json({ postings, total: postings.length });
+  } catch (error) {
+    console.error('Error fetching job postings:', error);
+    res.status(500).json({ error: 'Error fetching job postings' });
+  }
+});
+
+app.get('/api/job-postings/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const posting = await JobPosting.findById(req.params.id);
+    if (!posting) {
+      return res.status(404).json({ error: 'Job posting not found' });
+    }
+    res.json(posting);
+  } catch (error) {
+    console.error('Error fetching job posting:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job posting ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching job posting' });
+  }
+});
+
+app.post('/api/job-postings', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const fields = Object.fromEntries(JOB_POSTING_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    const posting = await JobPosting.create({ ...fields, createdBy: req.user._id });
+
+    console.log('✅ Job posting created:', posting.title, '@', posting.company);
+    res.status(201).json(posting);
+  } catch (error) {
+    console.error('Error creating job posting:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error creating job posting' });
+  }
+});
+
+app.put('/api/job-postings/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const posting = await JobPosting.findById(req.params.id);
+    if (!posting) {
+      return res.status(404).json({ error: 'Job posting not found' });
+    }
+
+    JOB_POSTING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        posting[field] = req.body[field];
+      }
+    });
+    await posting.save();
+
+    res.json(posting);
+  } catch (error) {
+    console.error('Error updating job posting:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job posting ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    res.status(500).json({ error: 'Error updating job posting' });
+  }
+});
+
+app.delete('/api/job-postings/:id', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const posting = await JobPosting.findByIdAndDelete(req.params.id);
+    if (!posting) {
+      return res.status(404).json({ error: 'Job posting not found' });
+    }
+    res.json({ message: 'Job posting deleted successfully', id: posting._id });
+  } catch (error) {
+    console.error('Error deleting job posting:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job posting ID format' });
+    }
+    res.status(500).json({ error: 'Error deleting job posting' });
+  }
+});
+
+// Rank students against a posting; body { limit, includeIneligible } (ineligible students are listed with reasons)
+app.post('/api/job-postings/:id/match', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const posting = await JobPosting.findById(req.params.id);
+    if (!posting) {
+      return res.status(404).json({ error: 'Job posting not found' });
+    }
+
+    const limit = parseInt(req.body.limit ?? JOB_MATCH_DEFAULT_LIMIT);
+    if (!(limit >= 1 && limit <= JOB_MATCH_MAX_LIMIT)) {
+      return res.status(400).json({ error: `limit must be between 1 and ${JOB_MATCH_MAX_LIMIT}` });
+    }
+
+    const students = await Student.find(menteeScope(req.user), JOB_MATCH_STUDENT_FIELDS).lean();
+    // The LeetCode score uses the current difficulty weights
+    await loadReadinessConfig();
+    const eligible = [];
+    const ineligible = [];
+    students.forEach(student => {
+      const summary = { id: student._id, name: student.name, usn: student.usn, semester: student.semester, branch: student.branch };
+      const reasons = checkPostingEligibility(posting, student);
+      if (reasons.length > 0) {
+        ineligible.push({ ...summary, reasons });
+      } else {
+        eligible.push({ ...summary, cgpa: student.marks?.cgpa ?? null, ...scoreStudentForPosting(posting, student) });
+      }
+    });
+
+    eligible.sort((a, b) => b.score - a.score || (b.cgpa ?? 0) - (a.cgpa ?? 0) || a.usn.localeCompare(b.usn));
+
+    console.log(`🎯 Matched ${eligible.length} eligible students against "${posting.title}"`);
+    res.json({
+      posting: {
+        id: posting._id,
+        title: posting.title,
+        company: posting.company,
+        roleType: posting.roleType,
+        requiredSkills: posting.requiredSkills,
+        minCgpa: posting.minCgpa ?? null,
+        eligibleSemesters: posting.eligibleSemesters
+      },
+      evaluated: students.length,
+      eligibleCount: eligible.length,
+      ineligibleCount: ineligible.length,
+      shortlist: eligible.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry })),
+      ...(req.body.includeIneligible === true ? { ineligible } : {})
+    });
+  } catch (error) {
+    console.error('Error matching students to job posting:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job posting ID format' });
+    }
+    res.status(500).json({ error: 'Error matching students to job posting' });
+  }
+});
+
+// Placement drives and applications
+const COMPANY_FIELDS = ['name', 'industry', 'website', 'description'];
+const DRIVE_FIELDS = ['company', 'role', 'jobPosting', 'driveDate', 'registrationDeadline', 'ctc', 'interviewRounds', 'eligibility', 'status'];
+const MAX_BULK_APPLICATIONS = 500;
+
+// Students are given as ObjectIds or USNs; students outside the scope are not found
+const findStudentsByIdOrUsn = async (values, scope = {}) => {
+  const ids = values.filter(value => mongoose.isValidObjectId(value));
+  const usns = values.filter(value => !mongoose.isValidObjectId(value)).map(value => String(value).toUpperCase());
+  const students = await Student.find({ ...scope, $or: [{ _id: { $in: ids } }, { usn: { $in: usns } }] });
+  return (value) => {
+    const key = String(value);
+    return students.find(student => student._id.toString() === key || student.usn === key.toUpperCase());
+  };
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Validation error',
+  details: Object.values(error.errors).map(err => err.message)
+});
+
+// Companies (placement officers and admins manage them)
+app.get('/api/companies', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const companies = await Company.find().sort({ name: 1 });
+    res.json({ companies, total: companies.length });
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({ error: 'Error fetching companies' });
+  }
+});
+
+app.post('/api/companies', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const fields = Object.fromEntries(COMPANY_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const company = await Company.create({ ...fields, createdBy: req.user._id });
+    res.status(201).json(company);
+  } catch (error) {
+    console.error('Error creating company:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A company with this name already exists' });
+    }
+    res.status(500).json({ error: 'Error creating company' });
+  }
+});
+
+app.put('/api/companies/:id', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    COMPANY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        company[field] = req.body[field];
+      }
+    });
+    await company.save();
+    res.json(company);
+  } catch (error) {
+    console.error('Error updating company:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid company ID format' });
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A company with this name already exists' });
+    }
+    res.status(500).json({ error: 'Error updating company' });
+  }
+});
+
+// Drives are visible to every signed-in user so students can find drives to register for
+app.get('/api/drives', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.company) {
+      filter.company = req.query.company;
+    }
+    const drives = await Drive.find(filter).populate('company', 'name industry').sort({ driveDate: -1, createdAt: -1 });
+    res.json({ drives, total: drives.length });
+  } catch (error) {
+    console.error('Error fetching drives:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid company ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching drives' });
+  }
+});
+
+app.get('/api/drives/:id', async (req, res) => {
+  try {
+    const drive = await Drive.findById(req.params.id).populate('company').populate('jobPosting', 'title requiredSkills roleType');
+    if (!drive) {
+      return res.status(404).json({ error: 'Drive not found' });
+    }
+
+    const counts = await Application.aggregate([
+      { $match: { drive: drive._id } },
+      { $group: { _id: '$stage', count: { $sum: 1 } } }
+    ]);
+    const stageCounts = Object.fromEntries(APPLICATION_STAGES.map(stage => [stage, counts.find(entry => entry._id === stage)?.count || 0]));
+
+    res.json({ ...drive.toObject(), stageCounts });
+  } catch (error) {
+    console.error('Error fetching drive:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid drive ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching drive' });
+  }
+});
+
+app.post('/api/drives', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const fields = Object.fromEntries(DRIVE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (!fields.company || !(await Company.exists({ _id: fields.company }))) {
+      return res.status(400).json({ error: 'company must be the ID of an existing company' });
+    }
+    const drive = await Drive.create({ ...fields, createdBy: req.user._id });
+
+    console.log('✅ Drive created:', drive.role);
+    res.status(201).json(drive);
+  } catch (error) {
+    console.error('Error creating drive:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: `Invalid ${error.path}` });
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error creating drive' });
+  }
+});
+
+app.put('/api/drives/:id', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const drive = await Drive.findById(req.params.id);
+    if (!drive) {
+      return res.status(404).json({ error: 'Drive not found' });
+    }
+    DRIVE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        drive[field] = req.body[field];
+      }
+    });
+    await drive.save();
+    res.json(drive);
+  } catch (error) {
+    console.error('Error updating drive:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: error.path === '_id' ? 'Invalid drive ID format' : `Invalid ${error.path}` });
+    }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error updating drive' });
+  }
+});
+
+// Register students for a drive after checking eligibility. Staff send { students: [id or USN], stage }
+// (stage eligible or applied, default eligible); a student calling this applies for themselves.
+app.post('/api/drives/:id/register', async (req, res) => {
+  try {
+    const drive = await Drive.findById(req.params.id);
+    if (!drive) {
+      return res.status(404).json({ error: 'Drive not found' });
+    }
+    if (!['upcoming', 'ongoing'].includes(drive.status)) {
+      return res.status(409).json({ error: `Registration is closed for ${drive.status} drives` });
+    }
+
+    const staff = isStaff(req.user);
+    let requested;
+    let stage;
+    if (staff) {
+      requested = req.body.students;
+      stage = req.body.stage || 'eligible';
+      if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_BULK_APPLICATIONS) {
+        return res.status(400).json({ error: `students must be a list of 1 to ${MAX_BULK_APPLICATIONS} student IDs or USNs` });
+      }
+      if (!['eligible', 'applied'].includes(stage)) {
+        return res.status(400).json({ error: 'stage must be eligible or applied' });
+      }
+    } else {
+      if (!req.user.student) {
+        return res.status(409).json({ error: 'Your account is not linked to a student record' });
+      }
+      if (drive.registrationDeadline && drive.registrationDeadline < new Date()) {
+        return res.status(409).json({ error: 'The registration deadline for this drive has passed' });
+      }
+      requested = [req.user.student.toString()];
+      stage = 'applied';
+    }
+
+    // Faculty can only register their mentees
+    const findStudent = await findStudentsByIdOrUsn(requested, staff ? menteeScope(req.user) : {});
+    const existing = await Application.find({ drive: drive._id });
+    const results = [];
+
+    for (const input of [...new Set(requested.map(String))]) {
+      const student = findStudent(input);
+      if (!student) {
+        results.push({ input, status: 'not_found' });
+        continue;
+      }
+      const summary = { input, student: student._id, usn: student.usn, name: student.name };
+
+      const application = existing.find(entry => entry.student.equals(student._id));
+      if (application) {
+        // A student put on the eligible list applies by registering themselves
+        if (application.stage === 'eligible' && stage === 'applied') {
+          advanceApplication(application, drive, { stage }, req.user);
+          await application.save();
+          results.push({ ...summary, status: 'registered', applicationId: application._id, stage: application.stage });
+        } else {
+          results.push({ ...summary, status: 'already_registered', applicationId: application._id, stage: application.stage });
+        }
+        continue;
+      }
+
+      const reasons = checkDriveEligibility(drive, student);
+      if (reasons.length > 0) {
+        results.push({ ...summary, status: 'ineligible', reasons });
+        continue;
+      }
+
+      const created = await Application.create({
+        student: student._id,
+        drive: drive._id,
+        stage,
+        stageHistory: [{ stage, changedBy: req.user._id }]
+      });
+      results.push({ ...summary, status: 'registered', applicationId: created._id, stage });
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    if (!staff && results[0]?.status === 'ineligible') {
+      return res.status(403).json({ error: 'You are not eligible for this drive', reasons: results[0].reasons });
+    }
+    res.json({
+      drive: drive._id,
+      registered: count('registered'),
+      ineligible: count('ineligible'),
+      alreadyRegistered: count('already_registered'),
+      notFound: count('not_found'),
+      results
+    });
+  } catch (error) {
+    console.error('Error registering for drive:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid drive ID format' });
+    }
+    res.status(500).json({ error: 'Error registering for drive' });
+  }
+});
+
+app.get('/api/drives/:id/applications', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const filter = { drive: req.params.id };
+    if (req.query.stage) {
+      filter.stage = req.query.stage;
+    }
+    const scope = menteeScope(req.user);
+    if (scope.mentor) {
+      filter.student = { $in: await Student.distinct('_id', scope) };
+    }
+    const applications = await Application.find(filter)
+      .populate('student', 'name usn semester branch marks.cgpa marks.backlogs')
+      .sort({ updatedAt: -1 });
+    res.json({ applications, total: applications.length });
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid drive ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching applications' });
+  }
+});
+
+// Move many applications of a drive to one stage: { applicationIds or students, stage, ctc, note }
+app.post('/api/drives/:id/applications/advance', authorize('admin', 'placement_officer'), async (req, res) => {
+  try {
+    const { applicationIds = [], students = [], stage, ctc, note } = req.body;
+    if (!APPLICATION_STAGES.includes(stage) || stage === 'eligible') {
+      return res.status(400).json({ error: `stage must be one of: ${APPLICATION_STAGES.filter(value => value !== 'eligible').join(', ')}` });
+    }
+    if (!Array.isArray(applicationIds) || !Array.isArray(students) || applicationIds.length + students.length === 0) {
+      return res.status(400).json({ error: 'Give applicationIds and/or students (IDs or USNs) to advance' });
+    }
+    if (applicationIds.length + students.length > MAX_BULK_APPLICATIONS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_APPLICATIONS} applications can be advanced at once` });
+    }
+    if (ctc !== undefined && !(typeof ctc === 'number' && ctc >= 0)) {
+      return res.status(400).json({ error: 'ctc must be a non-negative number (lakhs per annum)' });
+    }
+
+    const drive = await Drive.findById(req.params.id);
+    if (!drive) {
+      return res.status(404).json({ error: 'Drive not found' });
+    }
+
+    const findStudent = await findStudentsByIdOrUsn(students);
+    const studentIds = students.map(findStudent).filter(Boolean).map(student => student._id);
+    const applications = await Application.find({
+      drive: drive._id,
+      $or: [{ _id: { $in: applicationIds.filter(id => mongoose.isValidObjectId(id)) } }, { student: { $in: studentIds } }]
+    }).populate('student', 'usn name');
+
+    const results = applications.map(application => ({ application, from: application.stage }));
+    for (const result of results) {
+      result.error = advanceApplication(result.application, drive, { stage, ctc, note }, req.user);
+      if (!result.error) {
+        await result.application.save();
+      }
+    }
+
+    const matched = new Set(applications.flatMap(application => [application._id.toString(), application.student.usn, application.student._id.toString()]));
+    const notFound = [...applicationIds, ...students].filter(value => !matched.has(String(value)) && !matched.has(String(value).toUpperCase()));
+
+    console.log(`✅ Moved ${results.filter(result => !result.error).length} application(s) to ${stage}`);
+    res.json({
+      stage,
+      updated: results.filter(result => !result.error).length,
+      failed: results.filter(result => result.error).length,
+      notFound,
+      results: results.map(({ application, from, error }) => ({
+        applicationId: application._id,
+        usn: application.student.usn,
+        name: application.student.name,
+        from,
+        to: error ? from : application.stage,
+        interviewRound: application.interviewRound,
+        ctc: application.ctc,
+        status: error ? 'error' : 'updated',
+        error: error || undefined
+      }))
+    });
+  } catch (error) {
+    console.error('Error advancing applications:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid drive ID format' });
+    }
+    res.status(500).json({ error: 'Error advancing applications' });
+  }
+});
+
+// A student's applications across drives
+app.get('/api/students/:id/applications', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student)) {
+      return res.status(403).json({ error: 'You do not have access to this student' });
+    }
+
+    const applications = await Application.find({ student: student._id })
+      .populate({ path: 'drive', select: 'role company driveDate ctc status', populate: { path: 'company', select: 'name' } })
+      .sort({ createdAt: -1 });
+    res.json({ student: { id: student._id, name: student.name, usn: student.usn }, applications });
+  } catch (error) {
+    console.error('Error fetching student applications:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching student applications' });
+  }
+});
+
+// Placement statistics per batch year and current semester (same filters as the cohort analytics)
+// A student is placed once they accept an offer; CTC figures are over accepted offers
+app.get('/api/analytics/placements', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const groups = await Student.aggregate([
+      { $match: { ...buildCohortMatch(req.query), ...menteeScope(req.user) } },
+      {
+        $lookup: {
+          from: Application.collection.name,
+          let: { studentId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$student', '$$studentId'] } } },
+            { $project: { stage: 1, ctc: 1, offered: { $in: ['offered', { $ifNull: ['$stageHistory.stage', []] }] } } }
+          ],
+          as: 'applications'
+        }
+      },
+      {
+        $project: {
+          batchYear: 1,
+          semester: 1,
+          applied: { $gt: [{ $size: { $filter: { input: '$applications', cond: { $ne: ['$$this.stage', 'eligible'] } } } }, 0] },
+          offers: { $size: { $filter: { input: '$applications', cond: '$$this.offered' } } },
+          placed: { $in: ['accepted', '$applications.stage'] },
+          acceptedCtc: { $max: { $map: { input: { $filter: { input: '$applications', cond: { $eq: ['$$this.stage', 'accepted'] } } }, in: '$$this.ctc' } } }
+        }
+      },
+      {
+        $group: {
+          _id: { batchYear: '$batchYear', semester: '$semester' },
+          students: { $sum: 1 },
+          applied: { $sum: { $cond: ['$applied', 1, 0] } },
+          studentsWithOffers: { $sum: { $cond: [{ $gt: ['$offers', 0] }, 1, 0] } },
+          offers: { $sum: '$offers' },
+          placed: { $sum: { $cond: ['$placed', 1, 0] } },
+          highestCtc: { $max: '$acceptedCtc' },
+          averageCtc: { $avg: '$acceptedCtc' }
+        }
+      },
+      { $sort: { '_id.batchYear': -1, '_id.semester': 1 } }
+    ]);
+
+    const summarize = (group) => ({
+      students: group.students,
+      applied: group.applied,
+      studentsWithOffers: group.studentsWithOffers,
+      offers: group.offers,
+      placed: group.placed,
+      placementRate: group.students > 0 ? roundTo((group.placed / group.students) * 100, 1) : 0,
+      highestCtc: group.highestCtc ?? null,
+      averageCtc: typeof group.averageCtc === 'number' ? roundTo(group.averageCtc, 2) : null
+    });
+
+    const sumOf = (field) => groups.reduce((sum, group) => sum + group[field], 0);
+    const highestCtcs = groups.map(group => group.highestCtc).filter(value => typeof value === 'number');
+    const placed = sumOf('placed');
+    const totals = summarize({
+      students: sumOf('students'),
+      applied: sumOf('applied'),
+      studentsWithOffers: sumOf('studentsWithOffers'),
+      offers: sumOf('offers'),
+      placed,
+      highestCtc: highestCtcs.length > 0 ? Math.max(...highestCtcs) : null,
+      // Weighted by placed students so it equals the average over every accepted offer
+      averageCtc: placed > 0 ? groups.reduce((sum, group) => sum + (group.averageCtc || 0) * group.placed, 0) / placed : null
+    });
+
+    res.json({
+      filters: req.query,
+      totals,
+      groups: groups.map(group => ({ batchYear: group._id.batchYear ?? null, semester: group._id.semester, ...summarize(group) }))
+    });
+  } catch (error) {
+    console.error('Error computing placement statistics:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error computing placement statistics' });
+  }
+});
+
+// Learning resource catalog: a skill gap maps to a topic when it names one of the topic's taxonomy
+// skills or contains one of its keywords (add topics and resources here)
+const LEARNING_RESOURCE_CATALOG = [
+  {
+    topic: 'Data Structures and Algorithms',
+    skills: ['Data Structures and Algorithms'],
+    keywords: ['problem solving', 'coding interview', 'competitive programming', 'leetcode'],
+    resources: [
+      { id: 'leetcode-top-interview-150', type: 'leetcode', title: 'LeetCode Top Interview 150', url: 'https://leetcode.com/studyplan/top-interview-150/', estimatedHours: 60 },
+      { id: 'neetcode-roadmap', type: 'leetcode', title: 'NeetCode roadmap (arrays through dynamic programming)', url: 'https://neetcode.io/roadmap', estimatedHours: 50 }
+    ]
+  },
+  {
+    topic: 'System Design',
+    skills: ['System Design'],
+    keywords: ['scalability', 'distributed systems', 'software architecture'],
+    resources: [
+      { id: 'system-design-primer', type: 'course', title: 'The System Design Primer', url: 'https://github.com/donnemartin/system-design-primer', estimatedHours: 25 },
+      { id: 'project-url-shortener', type: 'project', title: 'Build a URL shortener with caching and rate limiting', estimatedHours: 15 }
+    ]
+  },
+  {
+    topic: 'Databases and SQL',
+    skills: ['SQL', 'DBMS', 'MySQL', 'PostgreSQL', 'MongoDB', 'SQLite', 'Oracle'],
+    keywords: ['database', 'databases'],
+    resources: [
+      { id: 'leetcode-sql-50', type: 'leetcode', title: 'LeetCode SQL 50', url: 'https://leetcode.com/studyplan/top-sql-50/', estimatedHours: 15 },
+      { id: 'project-placement-db', type: 'project', title: 'Model a placement-cell database with indexes and reporting queries', estimatedHours: 10 }
+    ]
+  },
+  {
+    topic: 'Object-Oriented Programming',
+    skills: ['Object-Oriented Programming'],
+    keywords: ['design patterns', 'low level design', 'solid principles'],
+    resources: [
+      { id: 'refactoring-guru-patterns', type: 'course', title: 'Refactoring.Guru design patterns', url: 'https://refactoring.guru/design-patterns', estimatedHours: 15 },
+      { id: 'project-library-system', type: 'project', title: 'Design a library management system applying SOLID principles', estimatedHours: 10 }
+    ]
+  },
+  {
+    topic: 'Operating Systems and Networks',
+    skills: ['Operating Systems', 'Computer Networks', 'Linux'],
+    keywords: ['cs fundamentals', 'core subjects', 'networking'],
+    resources: [
+      { id: 'ostep', type: 'course', title: 'Operating Systems: Three Easy Pieces', url: 'https://pages.cs.wisc.edu/~remzi/OSTEP/', estimatedHours: 40 },
+      { id: 'beej-networking', type: 'course', title: "Beej's Guide to Network Programming", url: 'https://beej.us/guide/bgnet/', estimatedHours: 15 }
+    ]
+  },
+  {
+    topic: 'Git and Open Source',
+    skills: ['Git'],
+    keywords: ['version control', 'open source'],
+    resources: [
+      { id: 'pro-git', type: 'course', title: 'Pro Git', url: 'https://git-scm.com/book/en/v2', estimatedHours: 10 },
+      { id: 'project-first-contribution', type: 'project', title: 'Get a pull request merged into an open-source project', estimatedHours: 8 }
+    ]
+  },
+  {
+    topic: 'Cloud and DevOps',
+    skills: ['AWS', 'Azure', 'Google Cloud', 'Docker', 'Kubernetes', 'CI/CD'],
+    keywords: ['cloud', 'devops', 'deployment', 'containers'],
+    resources: [
+      { id: 'docker-get-started', type: 'course', title: 'Docker: Get started', url: 'https://docs.docker.com/get-started/', estimatedHours: 8 },
+      { id: 'kubernetes-basics', type: 'course', title: 'Learn Kubernetes Basics', url: 'https://kubernetes.io/docs/tutorials/kubernetes-basics/', estimatedHours: 6 },
+      { id: 'project-ci-deploy', type: 'project', title: 'Containerize a project and deploy it from a GitHub Actions pipeline', estimatedHours: 12 }
+    ]
+  },
+  {
+    topic: 'Web Development',
+    skills: ['HTML', 'CSS', 'JavaScript', 'TypeScript', 'React', 'Angular', 'Vue.js', 'Next.js', 'Node.js', 'Express', 'REST APIs'],
+    keywords: ['frontend', 'front-end', 'backend', 'back-end', 'full stack', 'full-stack', 'web development'],
+    resources: [
+      { id: 'mdn-learn', type: 'course', title: 'MDN: Learn web development', url: 'https://developer.mozilla.org/en-US/docs/Learn', estimatedHours: 30 },
+      { id: 'odin-fullstack-js', type: 'course', title: 'The Odin Project: Full Stack JavaScript', url: 'https://www.theodinproject.com/paths/full-stack-javascript', estimatedHours: 120 },
+      { id: 'project-fullstack-crud', type: 'project', title: 'Build and deploy a full-stack app with authentication', estimatedHours: 25 }
+    ]
+  },
+  {
+    topic: 'Python',
+    skills: ['Python', 'Django', 'Flask', 'FastAPI'],
+    keywords: [],
+    resources: [
+      { id: 'python-tutorial', type: 'course', title: 'The Python Tutorial', url: 'https://docs.python.org/3/tutorial/', estimatedHours: 15 },
+      { id: 'project-python-cli', type: 'project', title: 'Write a tested command-line tool that cleans and summarizes a CSV dataset', estimatedHours: 8 }
+    ]
+  },
+  {
+    topic: 'Java',
+    skills: ['Java', 'Spring Boot'],
+    keywords: [],
+    resources: [
+      { id: 'dev-java-learn', type: 'course', title: 'Learn Java (dev.java)', url: 'https://dev.java/learn/', estimatedHours: 25 },
+      { id: 'spring-guides', type: 'course', title: 'Spring Boot guides', url: 'https://spring.io/guides', estimatedHours: 15 }
+    ]
+  },
+  {
+    topic: 'Machine Learning',
+    skills: ['Machine Learning', 'Deep Learning', 'NLP', 'Computer Vision', 'TensorFlow', 'PyTorch', 'scikit-learn', 'Pandas', 'NumPy', 'Data Analysis'],
+    keywords: ['data science', 'artificial intelligence'],
+    resources: [
+      { id: 'google-ml-crash-course', type: 'course', title: 'Google Machine Learning Crash Course', url: 'https://developers.google.com/machine-learning/crash-course', estimatedHours: 15 },
+      { id: 'kaggle-learn', type: 'course', title: 'Kaggle Learn', url: 'https://www.kaggle.com/learn', estimatedHours: 20 },
+      { id: 'project-kaggle-writeup', type: 'project', title: 'Train and evaluate a model on a Kaggle dataset and publish a write-up', estimatedHours: 15 }
+    ]
+  },
+  {
+    topic: 'Communication and Interviews',
+    skills: [],
+    keywords: ['communication', 'presentation', 'public speaking', 'interview', 'interviews', 'soft skills', 'leadership', 'teamwork'],
+    resources: [
+      { id: 'project-demo-video', type: 'project', title: 'Record a five-minute demo of a project and collect feedback', estimatedHours: 4 },
+      { id: 'project-mock-interviews', type: 'project', title: 'Do three mock interviews with peers using the STAR format', estimatedHours: 6 }
+    ]
+  }
+];
+
+const LEARNING_PLAN_DEFAULT_HOURS_PER_WEEK = 6;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Catalog topics a free-text skill gap refers to
+const findCatalogTopics = (gap) => {
+  const skills = matchTaxonomySkills(gap);
+  return LEARNING_RESOURCE_CATALOG.filter(entry =>
+    entry.skills.some(skill => skills.includes(skill)) ||
+    entry.keywords.some(keyword => new RegExp(`(?<![a-z0-9])${escapeRegExp(keyword)}(?![a-z0-9])`, 'i').test(gap))
+  );
+};
+
+// One milestone per catalog resource, due dates paced at hoursPerWeek from startDate
+const buildLearningPlanMilestones = (skillGaps, { startDate, hoursPerWeek }) => {
+  const milestones = [];
+  const unmatchedGaps = [];
+  const plannedTopics = new Set();
+  let plannedHours = 0;
+
+  skillGaps.forEach(gap => {
+    const topics = findCatalogTopics(gap);
+    if (topics.length === 0) {
+      unmatchedGaps.push(gap);
+      return;
+    }
+    topics.filter(entry => !plannedTopics.has(entry.topic)).forEach(entry => {
+      plannedTopics.add(entry.topic);
+      entry.resources.forEach(({ estimatedHours, ...resource }) => {
+        plannedHours += estimatedHours;
+        milestones.push({
+          title: resource.title,
+          skillGap: gap,
+          topic: entry.topic,
+          resource,
+          estimatedHours,
+          dueDate: new Date(startDate.getTime() + Math.ceil(plannedHours / hoursPerWeek) * WEEK_MS)
+        });
+      });
+    });
+  });
+
+  return { milestones, unmatchedGaps };
+};
+
+const summarizeLearningPlan = (plan) => {
+  const now = new Date();
+  const done = plan.milestones.filter(milestone => milestone.status === 'done');
+  const pending = plan.milestones.filter(milestone => milestone.status !== 'done');
+  const next = [...pending].sort((a, b) => a.dueDate - b.dueDate)[0];
+  return {
+    total: plan.milestones.length,
+    done: done.length,
+    overdue: pending.filter(milestone => milestone.dueDate < now).length,
+    percentComplete: plan.milestones.length > 0 ? Math.round((done.length / plan.milestones.length) * 100) : 0,
+    nextMilestone: next ? { id: next._id, title: next.title, dueDate: next.dueDate } : null
+  };
+};
+
+// Plan progress passed to the profile analysis, or null when the student has no active plan
+const learningPlanProgressForAnalysis = async (student) => {
+  const plan = await LearningPlan.findOne({ student: student._id, status: 'active' });
+  if (!plan) return null;
+
+  const now = new Date();
+  const summary = summarizeLearningPlan(plan);
+  return {
+    startedOn: plan.startDate,
+    skillGapsTargeted: plan.skillGaps,
+    milestonesDone: summary.done,
+    milestonesTotal: summary.total,
+    percentComplete: summary.percentComplete,
+    completed: plan.milestones.filter(milestone => milestone.status === 'done').map(milestone => `${milestone.topic}: ${milestone.title}`),
+    overdue: plan.milestones
+      .filter(milestone => milestone.status !== 'done' && milestone.dueDate < now)
+      .map(milestone => `${milestone.topic}: ${milestone.title}`)
+  };
+};
+
+const loadAccessibleStudent = async (req, res) => {
+  const student = await Student.findById(req.params.id);
+  if (!student) {
+    res.status(404).json({ error: 'Student not found' });
+    return null;
+  }
+  if (!canAccessStudent(req.user, student)) {
+    res.status(403).json({ error: 'You do not have access to this student' });
+    return null;
+  }
+  return student;
+};
+
+app.get('/api/learning-resources', (req, res) => {
+  res.json({ topics: LEARNING_RESOURCE_CATALOG, types: LEARNING_RESOURCE_TYPES });
+});
+
+// Build a new learning plan from the latest analysis.skillGaps (the previous plan is archived)
+app.post('/api/students/:id/learning-plan', async (req, res) => {
+  try {
+    const student = await loadAccessibleStudent(req, res);
+    if (!student) return;
+
+    const skillGaps = (student.analysis?.skillGaps || []).filter(gap => typeof gap === 'string' && gap.trim());
+    if (skillGaps.length === 0) {
+      return res.status(409).json({ error: 'The student has no skill gaps yet', hint: 'Run POST /api/students/usn/:usn/analyze first' });
+    }
+
+    const hoursPerWeek = req.body.hoursPerWeek === undefined ? LEARNING_PLAN_DEFAULT_HOURS_PER_WEEK : Number(req.body.hoursPerWeek);
+    if (!(hoursPerWeek >= 1 && hoursPerWeek <= 60)) {
+      return res.status(400).json({ error: 'hoursPerWeek must be between 1 and 60' });
+    }
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({ error: 'startDate must be a valid date' });
+    }
+
+    const { milestones, unmatchedGaps } = buildLearningPlanMilestones(skillGaps, { startDate, hoursPerWeek });
+    if (milestones.length === 0) {
+      return res.status(422).json({ error: 'No catalog resources match the student\'s skill gaps', unmatchedGaps });
+    }
+
+    await LearningPlan.updateMany({ student: student._id, status: 'active' }, { $set: { status: 'archived', updatedAt: new Date() } });
+    const plan = await LearningPlan.create({
+      student: student._id,
+      skillGaps,
+      unmatchedGaps,
+      hoursPerWeek,
+      startDate,
+      milestones,
+      createdBy: req.user._id
     });
+
+    console.log(`✅ Learning plan created for ${student.usn}: ${milestones.length} milestones`);
+    res.status(201).json({ plan, progress: summarizeLearningPlan(plan) });
+  } catch (error) {
+    console.error('Error creating learning plan:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error creating learning plan' });
+  }
+});
+
+app.get('/api/students/:id/learning-plan', async (req, res) => {
+  try {
+    const student = await loadAccessibleStudent(req, res);
+    if (!student) return;
+
+    const plan = await LearningPlan.findOne({ student: student._id, status: 'active' });
+    if (!plan) {
+      return res.status(404).json({ error: 'The student has no active learning plan' });
+    }
+    res.json({ plan, progress: summarizeLearningPlan(plan) });
+  } catch (error) {
+    console.error('Error fetching learning plan:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching learning plan' });
+  }
+});
+
+// Mark a milestone done (or back to pending): { status, notes }
+app.put('/api/students/:id/learning-plan/milestones/:milestoneId', async (req, res) => {
+  try {
+    const student = await loadAccessibleStudent(req, res);
+    if (!student) return;
+
+    const { status, notes } = req.body;
+    if (status !== undefined && !['pending', 'done'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending or done' });
+    }
+
+    const plan = await LearningPlan.findOne({ student: student._id, status: 'active' });
+    const milestone = plan?.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found in the active learning plan' });
+    }
+
+    if (status !== undefined && status !== milestone.status) {
+      milestone.status = status;
+      milestone.completedAt = status === 'done' ? new Date() : undefined;
+    }
+    if (notes !== undefined) {
+      milestone.notes = notes;
+    }
+    await plan.save();
+
+    res.json({ milestone, progress: summarizeLearningPlan(plan) });
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student or milestone ID format' });
+    }
+    res.status(500).json({ error: 'Error updating milestone' });
+  }
+});
+
+// Mentor notes on a student. Staff read every note; a student reads only the notes shared with them.
+const MENTOR_NOTE_FIELDS = ['kind', 'body', 'visibility', 'tags'];
+
+// Apply { dueDate, done } to a note's follow-up; dueDate null clears it
+const applyNoteFollowUp = (note, followUp) => {
+  if (followUp === null) {
+    note.followUp = undefined;
+    return;
+  }
+  if (followUp.dueDate !== undefined) {
+    note.set('followUp.dueDate', followUp.dueDate);
+  }
+  if (followUp.done !== undefined) {
+    const done = Boolean(followUp.done);
+    if (done !== Boolean(note.followUp?.done)) {
+      note.set('followUp.done', done);
+      note.set('followUp.completedAt', done ? new Date() : undefined);
+    }
+  }
+};
+
+const canEditNote = (user, note) => user.role === 'admin' || note.author.equals(user._id);
+
+app.get('/api/students/:id/notes', async (req, res) => {
+  try {
+    const student = await loadAccessibleStudent(req, res);
+    if (!student) return;
+
+    const filter = { student: student._id };
+    if (!isStaff(req.user)) {
+      filter.visibility = 'shared';
+    }
+    if (req.query.tag) {
+      filter.tags = normalizeNoteTags(req.query.tag)[0];
+    }
+
+    const notes = await MentorNote.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('author', 'name role');
+    res.json({ student: { id: student._id, usn: student.usn, name: student.name }, count: notes.length, notes });
+  } catch (error) {
+    console.error('Error fetching mentor notes:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching mentor notes' });
   }
 });
 
-// Get student's soft skills assessment
-app.get('/api/students/:id/soft-skills', async (req, res) => {
+app.post('/api/students/:id/notes', authorize(...STAFF_ROLES), async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
-    
-    if (!student) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Student not found' 
-      });
+    const student = await loadAccessibleStudent(req, res);
+    if (!student) return;
+
+    const note = new MentorNote({ student: student._id, author: req.user._id });
+    MENTOR_NOTE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        note[field] = req.body[field];
+      }
+    });
+    if (req.body.followUp) {
+      applyNoteFollowUp(note, req.body.followUp);
     }
+    await note.save();
 
-    if (!student.softSkillsAssessment) {
-      return res.status(404).json({
-        success: false,
-        error: 'No soft skills assessment found for this student'
-      });
+    console.log(`📝 Mentor note added for ${student.usn} by ${req.user.email}`);
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Error creating mentor note:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student ID format' });
     }
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error creating mentor note' });
+  }
+});
 
-    res.json({
-      success: true,
-      data: student.softSkillsAssessment,
-      studentInfo: {
-        name: student.name,
-        usn: student.usn,
-        semester: student.semester
+// Only the author (or an admin) edits or deletes a note
+app.put('/api/students/:id/notes/:noteId', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const note = await MentorNote.findOne({ _id: req.params.noteId, student: req.params.id });
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEditNote(req.user, note)) {
+      return res.status(403).json({ error: 'Only the author can edit this note' });
+    }
+
+    MENTOR_NOTE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        note[field] = req.body[field];
       }
     });
+    if (req.body.followUp !== undefined) {
+      applyNoteFollowUp(note, req.body.followUp);
+    }
+    await note.save();
 
+    res.json(note);
   } catch (error) {
-    console.error('Error fetching soft skills assessment:', error);
+    console.error('Error updating mentor note:', error);
     if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid student ID format' });
+      return res.status(400).json({ error: 'Invalid student or note ID format' });
     }
-    res.status(500).json({
-      success: false,
-      error: 'Error retrieving soft skills assessment'
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error updating mentor note' });
+  }
+});
+
+app.delete('/api/students/:id/notes/:noteId', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const note = await MentorNote.findOne({ _id: req.params.noteId, student: req.params.id });
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEditNote(req.user, note)) {
+      return res.status(403).json({ error: 'Only the author can delete this note' });
+    }
+
+    await note.deleteOne();
+    res.json({ message: 'Note deleted successfully', id: note._id });
+  } catch (error) {
+    console.error('Error deleting mentor note:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student or note ID format' });
+    }
+    res.status(500).json({ error: 'Error deleting mentor note' });
+  }
+});
+
+// Students needing attention: ?tag=at-risk lists students with notes carrying that tag, otherwise (or with
+// overdue=true) students with overdue follow-ups. Faculty see their own mentees.
+app.get('/api/mentor/follow-ups', authorize('admin', 'faculty'), async (req, res) => {
+  try {
+    const now = new Date();
+    const tag = req.query.tag ? normalizeNoteTags(req.query.tag)[0] : null;
+    const overdueOnly = req.query.overdue === 'true' || !tag;
+
+    const match = {};
+    const scope = menteeScope(req.user);
+    if (scope.mentor) {
+      match.student = { $in: await Student.distinct('_id', scope) };
+    }
+    if (tag) {
+      match.tags = tag;
+    }
+    if (overdueOnly) {
+      match['followUp.done'] = false;
+      match['followUp.dueDate'] = { $lt: now };
+    }
+
+    const students = await MentorNote.aggregate([
+      { $match: match },
+      { $sort: { 'followUp.dueDate': 1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$student',
+          notes: {
+            $push: {
+              id: '$_id',
+              kind: '$kind',
+              tags: '$tags',
+              followUpDue: '$followUp.dueDate',
+              followUpDone: '$followUp.done',
+              createdAt: '$createdAt'
+            }
+          },
+          tags: { $addToSet: '$tags' },
+          earliestDue: { $min: '$followUp.dueDate' },
+          latestNoteAt: { $max: '$createdAt' }
+        }
+      },
+      { $lookup: { from: 'students', localField: '_id', foreignField: '_id', as: 'student' } },
+      { $unwind: '$student' },
+      {
+        $project: {
+          _id: 0,
+          student: { id: '$student._id', usn: '$student.usn', name: '$student.name', semester: '$student.semester' },
+          tags: {
+            $reduce: { input: '$tags', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } }
+          },
+          earliestDue: 1,
+          latestNoteAt: 1,
+          notes: 1
+        }
+      },
+      { $sort: { earliestDue: 1, latestNoteAt: -1 } }
+    ]);
+
+    res.json({
+      filter: { tag, overdue: overdueOnly },
+      generatedAt: now,
+      count: students.length,
+      students
     });
+  } catch (error) {
+    console.error('Error fetching follow-ups:', error);
+    res.status(500).json({ error: 'Error fetching follow-ups' });
   }
 });
 
-// FIXED: Student analysis endpoint  
-app.post('/api/students/usn/:usn/analyze', async (req, res) => {
+// Mentor assignment (admins assign faculty mentors to students, one at a time or in bulk)
+const findMentor = async (mentorId) => {
+  const mentor = await User.findById(mentorId);
+  if (!mentor) {
+    const error = new Error('Mentor not found');
+    error.status = 404;
+    throw error;
+  }
+  if (mentor.role !== 'faculty') {
+    throw badRequest('Mentors must be faculty users');
+  }
+  return mentor;
+};
+
+// Faculty with their mentee counts
+app.get('/api/mentors', authorize('admin', 'placement_officer'), async (req, res) => {
   try {
-    const student = await Student.findOne({ usn: req.params.usn.toUpperCase() });
-    
+    const [faculty, counts, unassigned] = await Promise.all([
+      User.find({ role: 'faculty' }, { name: 1, email: 1 }).sort({ name: 1 }),
+      Student.aggregate([
+        { $match: { mentor: { $ne: null } } },
+        { $group: { _id: '$mentor', mentees: { $sum: 1 } } }
+      ]),
+      Student.countDocuments({ mentor: null })
+    ]);
+    const menteeCounts = new Map(counts.map(count => [count._id.toString(), count.mentees]));
+
+    res.json({
+      mentors: faculty.map(user => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        mentees: menteeCounts.get(user._id.toString()) || 0
+      })),
+      unassignedStudents: unassigned
+    });
+  } catch (error) {
+    console.error('Error fetching mentors:', error);
+    res.status(500).json({ error: 'Error fetching mentors' });
+  }
+});
+
+// Assign one student: { mentorId } (null removes the mentor)
+app.put('/api/students/:id/mentor', authorize('admin'), async (req, res) => {
+  try {
+    const { mentorId } = req.body;
+    if (mentorId === undefined) {
+      return res.status(400).json({ error: 'mentorId is required (null removes the mentor)' });
+    }
+    const mentor = mentorId === null ? null : await findMentor(mentorId);
+
+    const student = await Student.findByIdAndUpdate(
+      req.params.id,
+      mentor ? { $set: { mentor: mentor._id } } : { $unset: { mentor: 1 } },
+      { new: true }
+    );
     if (!student) {
       return res.status(404).json({ error: 'Student not found' });
     }
-    
-    console.log('🧠 Analyzing student data for USN:', req.params.usn);
-    
-    const { github, leetcode, marks, resume, softSkillsAssessment } = student;
-    
-    const studentProfile = {
-      name: student.name,
-      semester: student.semester,
-      academicPerformance: {
-        cgpa: marks?.cgpa || 0,
-        percentage: marks?.totalPercentage || 0,
-        subjects: marks?.subjects || [],
-        detailedMarksAnalysis: marks?.detailedAnalysis || null
-      },
-      technicalSkills: resume?.skills || [],
-      projects: resume?.projects || [],
-      experience: resume?.experience || [],
-      education: resume?.education || [],
-      detailedResumeAnalysis: resume?.detailedAnalysis || null,
-      github: {
-        repositories: github?.repositories || 0,
-        languages: github?.languages || [],
-        contributions: github?.contributionsLastYear || 0,
-        followers: github?.followers || 0
-      },
-      leetcode: {
-        totalSolved: leetcode?.totalSolved || 0,
-        contestRating: leetcode?.contestRating || 0,
-        acceptance: leetcode?.acceptanceRate || 0
-      },
-      softSkills: {
-        overallScore: softSkillsAssessment?.overallSoftSkillsScore || null,
-        strengths: softSkillsAssessment?.strengths || [],
-        improvements: softSkillsAssessment?.areasForImprovement || []
-      }
-    };
-    
-    const groqResponse = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert career advisor for computer science students. Analyze this student's complete profile including academic performance, technical skills, GitHub activity, LeetCode performance, and soft skills assessment. Return ONLY JSON with the following structure:
-          {
-            "strengths": ["Strong programming fundamentals", "Good project portfolio"],
-            "weaknesses": ["Limited industry experience", "Needs more frontend skills"],
-            "recommendations": ["Focus on learning React", "Contribute to open source"],
-            "overallScore": 78,
-            "skillGaps": ["Cloud computing", "DevOps"],
-            "careerSuggestions": ["Full Stack Developer", "Backend Engineer"],
-            "learningPath": ["Take AWS certification", "Learn Docker and Kubernetes"],
-            "detailedAnalysis": "The student shows strong potential in backend development with solid academic performance..."
-          }
-          
-          Provide specific, actionable insights based on ALL available data including academic performance, technical skills, GitHub activity, LeetCode performance, and soft skills.`
-        },
-        {
-          role: "user",
-          content: `Analyze this comprehensive student profile:\n${JSON.stringify(studentProfile, null, 2)}`
-        }
-      ],
-      model: "openai/gpt-oss-20b",
-      temperature: 0.3,
-      max_tokens: 1500,
+
+    res.json({
+      student: { id: student._id, usn: student.usn, name: student.name },
+      mentor: mentor ? { id: mentor._id, name: mentor.name, email: mentor.email } : null
     });
-    
-    const content = groqResponse.choices[0]?.message?.content || '';
-    
-    const jsonMatch = content.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/) || [null, content];
-    const jsonContent = jsonMatch[1];
-    
-    try {
-      const analysisData = JSON.parse(jsonContent);
-      
-      const completeAnalysis = {
-        strengths: analysisData.strengths || [],
-        weaknesses: analysisData.weaknesses || [],
-        recommendations: analysisData.recommendations || [],
-        overallScore: analysisData.overallScore || 50,
-        skillGaps: analysisData.skillGaps || [],
-        careerSuggestions: analysisData.careerSuggestions || [],
-        learningPath: analysisData.learningPath || [],
-        detailedAnalysis: analysisData.detailedAnalysis || "Analysis completed successfully."
-      };
-      
-      student.analysis = completeAnalysis;
-      await student.save();
-      
-      console.log('✅ Student analysis completed and saved');
-      res.json(completeAnalysis);
-    } catch (err) {
-      console.error("Failed to parse analysis data:", err);
-      res.status(500).json({ error: 'Error generating analysis' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error assigning mentor:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid student or mentor ID format' });
+    }
+    res.status(500).json({ error: 'Error assigning mentor' });
+  }
+});
+
+// Bulk assignment by USN range or semester section; onlyUnassigned leaves students who already have a mentor alone
+app.post('/api/mentors/:mentorId/assign', authorize('admin'), async (req, res) => {
+  try {
+    const mentor = await findMentor(req.params.mentorId);
+    const match = buildMentorAssignmentMatch(req.body);
+    const onlyUnassigned = req.body.onlyUnassigned === true || req.body.onlyUnassigned === 'true';
+
+    const students = await Student.find(match, { usn: 1, mentor: 1 }).sort({ usn: 1 });
+    if (students.length === 0) {
+      return res.status(404).json({ error: 'No students match the selection', criteria: match });
+    }
+
+    const alreadyAssigned = students.filter(student => student.mentor?.equals(mentor._id));
+    const skipped = onlyUnassigned ? students.filter(student => student.mentor && !student.mentor.equals(mentor._id)) : [];
+    const targets = students.filter(student => !alreadyAssigned.includes(student) && !skipped.includes(student));
+
+    if (targets.length > 0) {
+      await Student.updateMany({ _id: { $in: targets.map(student => student._id) } }, { $set: { mentor: mentor._id } });
     }
+
+    console.log(`👥 Assigned ${targets.length} students to mentor ${mentor.email}`);
+    res.json({
+      mentor: { id: mentor._id, name: mentor.name, email: mentor.email },
+      criteria: match,
+      matched: students.length,
+      assigned: targets.length,
+      reassigned: targets.filter(student => student.mentor).length,
+      alreadyAssigned: alreadyAssigned.length,
+      skipped: skipped.map(student => student.usn)
+    });
   } catch (error) {
-    console.error('❌ Error analyzing student data:', error);
-    res.status(500).json({ error: 'Error analyzing student data' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error assigning mentees:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid mentor ID format' });
+    }
+    res.status(500).json({ error: 'Error assigning mentees' });
   }
 });
 
@@ -838,7 +5701,228 @@ app.post('/api/upload-photo', upload.single('photo'), async (req, res) => {
   }
 });
 
-// Resume analysis endpoint
+// Longest slice of resume text sent to the model
+const MAX_RESUME_TEXT_LENGTH = 6000;
+
+// Mark each structured resume field as extracted (found verbatim in the resume text) or inferred by the model
+const buildResumeFieldSources = (structure, text) => {
+  const haystack = text.toLowerCase();
+  const keyFor = {
+    skills: item => item,
+    projects: item => item?.title,
+    experience: item => item?.company,
+    education: item => item?.institution || item?.degree
+  };
+
+  return Object.fromEntries(Object.entries(keyFor).map(([field, getKey]) => {
+    const items = structure[field] || [];
+    if (items.length === 0) {
+      return [field, { source: 'empty', inferredItems: [] }];
+    }
+
+    const inferredItems = items
+      .map(getKey)
+      .filter(key => !key || !haystack.includes(String(key).toLowerCase()));
+    const source = inferredItems.length === 0
+      ? 'extracted'
+      : (inferredItems.length === items.length ? 'inferred' : 'mixed');
+
+    return [field, { source, inferredItems }];
+  }).concat([['detailedAnalysis', { source: 'inferred', inferredItems: [] }]]));
+};
+
+// Plain-language summary of what the parser found, used when no model analysis is available
+const summarizeParsedResume = (parsed) => {
+  const counts = ['skills', 'projects', 'experience', 'education', 'certifications']
+    .map(field => `${parsed[field].length} ${field}`)
+    .join(', ');
+  const missing = ['skills', 'projects', 'experience', 'education']
+    .filter(field => !parsed.sections.includes(field));
+
+  return `Rule-based parse found ${counts}.` +
+    (missing.length ? ` No ${missing.join(', ')} section heading was detected.` : '') +
+    ' Automated written feedback was not available for this run.';
+};
+
+const sanitizeResumeStructure = (result) => ({
+  skills: Array.isArray(result.skills) ? result.skills.filter(skill => typeof skill === 'string') : [],
+  projects: Array.isArray(result.projects) ? result.projects : [],
+  experience: Array.isArray(result.experience) ? result.experience : [],
+  education: Array.isArray(result.education) ? result.education : []
+});
+
+// Ask app.py for its written analysis and structure it; returns null when app.py is unavailable or fails
+const enhanceResumeWithAppPy = async (file) => {
+  try {
+    const healthCheck = await axios.get(`${APP_PY_BASE_URL}/health`, { timeout: 5000 });
+    console.log('🐍 App.py health check:', healthCheck.status === 200 ? 'Available' : 'Unavailable');
+    if (healthCheck.status !== 200) return null;
+  } catch (healthError) {
+    console.warn('⚠️ App.py health check failed:', healthError.message);
+    return null;
+  }
+
+  try {
+    const FormData = require('form-data');
+    const form = new FormData();
+
+    const fileBuffer = fs.readFileSync(file.path);
+    form.append('file', fileBuffer, {
+      filename: file.originalname,
+      contentType: file.mimetype
+    });
+
+    console.log('🔄 Sending file to app.py for analysis...');
+    const analysisResponse = await axios.post(`${APP_PY_BASE_URL}/upload-resume`, form, {
+      headers: {
+        ...form.getHeaders(),
+      },
+      timeout: 60000
+    });
+
+    if (!analysisResponse.data.success) {
+      throw new Error(analysisResponse.data.error || 'App.py analysis failed');
+    }
+
+    const detailedAnalysis = analysisResponse.data.analysis;
+    console.log('✅ App.py analysis completed');
+
+    // Extract structure using the LLM; a bad reply still keeps the app.py written analysis
+    let structure = null;
+    try {
+      const { data } = await runValidatedLLMTask('resumeStructure', [
+        {
+          role: "system",
+          content: `Extract resume information from this analysis and return ONLY valid JSON:
+          {
+            "skills": ["Programming Language", "Framework", "Tool"],
+            "projects": [{"title": "Project Name", "description": "Brief description"}],
+            "experience": [{"company": "Company Name", "position": "Job Title", "duration": "Time Period"}],
+            "education": [{"degree": "Degree Type", "institution": "School Name", "year": "Year"}]
+          }
+
+          Extract actual information mentioned in the analysis. If sections are empty, use empty arrays.`
+        },
+        {
+          role: "user",
+          content: `Extract resume data from: ${detailedAnalysis.substring(0, 2000)}`
+        }
+      ]);
+
+      structure = sanitizeResumeStructure(data);
+    } catch (err) {
+      console.error("Failed to extract structure:", err.message);
+    }
+
+    return { structure, detailedAnalysis, source: 'app.py' };
+  } catch (appPyError) {
+    console.error('❌ App.py analysis failed:', appPyError.message);
+    return null;
+  }
+};
+
+// Ask the LLM to review the extracted resume text; returns null when the call or its JSON fails
+const enhanceResumeWithLLM = async (resumeText, parsed) => {
+  try {
+    const { data } = await runValidatedLLMTask('resumeReview', [
+      {
+        role: "system",
+        content: `You are analyzing the text extracted from a resume. A rule-based parser already found the entries listed by the user. Return ONLY valid JSON with this structure:
+        {
+          "skills": ["<skill named in the resume>"],
+          "projects": [{"title": "<project title>", "description": "<one line summary>"}],
+          "experience": [{"company": "<company>", "position": "<role>", "duration": "<dates as written>"}],
+          "education": [{"degree": "<degree>", "institution": "<institution>", "year": "<year as written>"}],
+          "detailedAnalysis": "<assessment of the resume>"
+        }
+
+        List only entries the parser missed or left incomplete. Only include entries that appear in the resume text. Never invent entries or use placeholders; use empty arrays when there is nothing to add.`
+      },
+      {
+        role: "user",
+        content: `Parser found:\n${JSON.stringify({
+          skills: parsed.skills,
+          projects: parsed.projects.map(project => project.title),
+          experience: parsed.experience.map(entry => `${entry.position} @ ${entry.company}`),
+          education: parsed.education.map(entry => `${entry.degree} @ ${entry.institution}`)
+        })}\n\nResume text:\n${resumeText.substring(0, MAX_RESUME_TEXT_LENGTH)}`
+      }
+    ]);
+
+    return {
+      structure: sanitizeResumeStructure(data),
+      detailedAnalysis: data.detailedAnalysis,
+      source: llm.name
+    };
+  } catch (llmError) {
+    console.error('❌ LLM resume analysis failed:', llmError.message);
+    return null;
+  }
+};
+
+// Analyze an uploaded resume: the rule-based parser is the baseline, app.py or the LLM only add to it
+const analyzeResumeFile = async (file) => {
+  console.log('📄 Processing resume:', file.originalname);
+  console.log('📁 File details:', {
+    size: file.size,
+    mimetype: file.mimetype,
+    path: file.path
+  });
+
+  // Extract the resume text in-process; only this text is ever sent to the model
+  let extraction = { text: '', method: 'none', warnings: [] };
+  try {
+    extraction = await extractDocumentText(file);
+  } catch (extractionError) {
+    console.error('❌ Resume text extraction failed:', extractionError.message);
+  }
+  const resumeText = extraction.text.trim();
+
+  const parsed = parseResumeText(resumeText);
+  console.log('🧾 Rule-based parser found:', {
+    skills: parsed.skills.length,
+    projects: parsed.projects.length,
+    experience: parsed.experience.length,
+    education: parsed.education.length,
+    certifications: parsed.certifications.length
+  });
+
+  let enhancement = await enhanceResumeWithAppPy(file);
+  if (!enhancement && resumeText) {
+    console.log(`🔄 Using ${llm.name} to add to the parsed resume...`);
+    enhancement = await enhanceResumeWithLLM(resumeText, parsed);
+  }
+
+  const merged = mergeResumeStructures(parsed, enhancement?.structure);
+
+  let detailedAnalysis = enhancement?.detailedAnalysis;
+  if (!detailedAnalysis) {
+    detailedAnalysis = resumeText
+      ? summarizeParsedResume(parsed)
+      : (extraction.warnings?.[0] || "No text could be extracted from this resume, so it was not analyzed. Upload a text-based PDF or DOCX, or a clearer scan.");
+  }
+
+  let source = resumeText ? 'parser' : 'no-text';
+  if (enhancement) {
+    source = resumeText ? `parser+${enhancement.source}` : enhancement.source;
+  }
+
+  return {
+    ...merged.structure,
+    certifications: parsed.certifications,
+    detailedAnalysis,
+    filename: file.originalname,
+    extractedTextLength: resumeText.length,
+    extractionMethod: extraction.method,
+    extractionWarnings: extraction.warnings || [],
+    sections: parsed.sections,
+    confidence: merged.confidence,
+    contributions: merged.contributions,
+    fieldSources: resumeText ? buildResumeFieldSources(merged.structure, resumeText) : {},
+    source
+  };
+};
+
 // Resume analysis endpoint - FIXED VERSION
 app.post('/api/analyze-resume', upload.single('resume'), async (req, res) => {
   try {
@@ -849,313 +5933,250 @@ app.post('/api/analyze-resume', upload.single('resume'), async (req, res) => {
       });
     }
 
-    console.log('📄 Processing resume:', req.file.originalname);
-    console.log('📁 File details:', {
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      path: req.file.path
+    // The analysis (app.py and the LLM) runs in the background; the result optionally goes to req.body.studentId
+    const job = await enqueueJob({
+      type: 'resumeAnalysis',
+      payload: { studentId: req.body.studentId },
+      file: req.file,
+      user: req.user
     });
+    res.status(202).json(jobAcceptedResponse(job));
 
-    // Check if app.py is available first
-    let appPyAvailable = false;
-    try {
-      const healthCheck = await axios.get(`${APP_PY_BASE_URL}/health`, { timeout: 5000 });
-      appPyAvailable = healthCheck.status === 200;
-      console.log('🐍 App.py health check:', appPyAvailable ? 'Available' : 'Unavailable');
-    } catch (healthError) {
-      console.warn('⚠️ App.py health check failed:', healthError.message);
+  } catch (error) {
+    console.error("❌ Error queueing resume analysis:", error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ 
+      success: false,
+      error: 'Resume analysis temporarily unavailable',
+      details: 'The system could not queue your resume for analysis. Please try again.'
+    });
+  }
+});
+
+// Local document text extraction (runs in-process, no external services or downloads)
+const TESSERACT_LANG_PATH = process.env.TESSERACT_LANG_PATH || tesseractEnglish.langPath;
+const MIN_PDF_TEXT_LENGTH = 50;
+const MAX_OCR_PAGES = 5;
+
+// How each extraction method is described in analysis summaries
+const EXTRACTION_METHOD_LABELS = {
+  'pdf-text': 'PDF text',
+  'pdf-ocr': 'OCR of the scanned PDF',
+  'docx-text': 'Word document text',
+  'plain-text': 'plain text',
+  'ocr': 'OCR'
+};
+
+// Recognize the images of one document with a single Tesseract worker (starting one loads the language data)
+const ocrImages = async (images) => {
+  const worker = await createWorker({
+    langPath: TESSERACT_LANG_PATH,
+    gzip: tesseractEnglish.gzip,
+    cacheMethod: 'none'
+  });
+  try {
+    await worker.loadLanguage('eng');
+    await worker.initialize('eng');
+    const texts = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      texts.push(data.text || '');
     }
+    return texts;
+  } finally {
+    await worker.terminate();
+  }
+};
 
-    let analysisResult;
+// Scanned PDFs usually store each page as an embedded JPEG (DCTDecode) image; pull those out for OCR.
+// Other image encodings (Flate, CCITT, JBIG2) would need the pages rendered, which we don't do.
+const extractPdfJpegImages = (buffer, maxImages = MAX_OCR_PAGES) => {
+  const images = [];
+  let cursor = 0;
 
-    if (appPyAvailable) {
-      // Try to use app.py for analysis
-      try {
-        const FormData = require('form-data');
-        const form = new FormData();
-        
-        const fileBuffer = fs.readFileSync(req.file.path);
-        form.append('file', fileBuffer, {
-          filename: req.file.originalname,
-          contentType: req.file.mimetype
-        });
+  while (images.length < maxImages) {
+    const filterIndex = buffer.indexOf('/DCTDecode', cursor);
+    if (filterIndex === -1) break;
 
-        console.log('🔄 Sending file to app.py for analysis...');
-        const analysisResponse = await axios.post(`${APP_PY_BASE_URL}/upload-resume`, form, {
-          headers: {
-            ...form.getHeaders(),
-          },
-          timeout: 60000
-        });
+    const streamIndex = buffer.indexOf('stream', filterIndex);
+    const endIndex = buffer.indexOf('endstream', streamIndex);
+    if (streamIndex === -1 || endIndex === -1) break;
 
-        if (analysisResponse.data.success) {
-          const detailedAnalysis = analysisResponse.data.analysis;
-          console.log('✅ App.py analysis completed');
-          
-          // Extract structure using Groq
-          const groqResponse = await groq.chat.completions.create({
-            messages: [
-              {
-                role: "system",
-                content: `Extract resume information from this analysis and return ONLY valid JSON:
-                {
-                  "skills": ["Programming Language", "Framework", "Tool"],
-                  "projects": [{"title": "Project Name", "description": "Brief description"}],
-                  "experience": [{"company": "Company Name", "position": "Job Title", "duration": "Time Period"}],
-                  "education": [{"degree": "Degree Type", "institution": "School Name", "year": "Year"}]
-                }
-                
-                Extract actual information mentioned in the analysis. If sections are empty, use empty arrays.`
-              },
-              {
-                role: "user",
-                content: `Extract resume data from: ${detailedAnalysis.substring(0, 2000)}`
-              }
-            ],
-            model: "openai/gpt-oss-20b",
-            temperature: 0,
-            max_tokens: 1000,
-          });
-
-          let basicStructure;
-          try {
-            const content = groqResponse.choices[0]?.message?.content || '{}';
-            let jsonContent = content;
-            
-            const jsonMatch = content.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/);
-            if (jsonMatch) {
-              jsonContent = jsonMatch[1];
-            } else {
-              const jsonStart = content.indexOf('{');
-              const jsonEnd = content.lastIndexOf('}') + 1;
-              if (jsonStart !== -1 && jsonEnd > jsonStart) {
-                jsonContent = content.slice(jsonStart, jsonEnd);
-              }
-            }
+    const jpegStart = buffer.indexOf(Buffer.from([0xff, 0xd8]), streamIndex);
+    const jpegEnd = buffer.lastIndexOf(Buffer.from([0xff, 0xd9]), endIndex);
+    if (jpegStart !== -1 && jpegEnd > jpegStart && jpegStart < endIndex) {
+      images.push(buffer.subarray(jpegStart, jpegEnd + 2));
+    }
+    cursor = endIndex + 'endstream'.length;
+  }
 
-            basicStructure = JSON.parse(jsonContent);
-            
-            // Validate and sanitize the structure
-            basicStructure = {
-              skills: Array.isArray(basicStructure.skills) ? basicStructure.skills : [],
-              projects: Array.isArray(basicStructure.projects) ? basicStructure.projects : [],
-              experience: Array.isArray(basicStructure.experience) ? basicStructure.experience : [],
-              education: Array.isArray(basicStructure.education) ? basicStructure.education : []
-            };
-            
-          } catch (err) {
-            console.error("Failed to extract structure:", err);
-            basicStructure = {
-              skills: ["Resume uploaded successfully"],
-              projects: [{ title: "Resume Analysis", description: "Analysis completed - check detailed analysis" }],
-              experience: [{ company: "Analysis completed", position: "See detailed analysis", duration: "N/A" }],
-              education: [{ degree: "Analysis completed", institution: "See detailed analysis", year: "N/A" }]
-            };
-          }
+  return images;
+};
+
+const extractDocumentText = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === '.pdf') {
+    const buffer = fs.readFileSync(file.path);
+    // Copy into a standalone Uint8Array: small Buffers share Node's pool, which breaks pdf.js offsets
+    const pdf = await pdfParse(new Uint8Array(buffer));
+    const text = pdf.text || '';
+
+    // Little or no text layer means a scanned document, so OCR its page images instead
+    const warnings = [];
+    if (text.replace(/\s/g, '').length < MIN_PDF_TEXT_LENGTH) {
+      const images = extractPdfJpegImages(buffer);
+      if (images.length > 0) {
+        console.log(`🔍 PDF has no text layer, running OCR on ${images.length} page image(s)`);
+        const pageTexts = await ocrImages(images);
+        if (images.length < pdf.numpages) {
+          warnings.push(`Only ${images.length} of ${pdf.numpages} scanned pages could be read with OCR.`);
+        }
+        return { text: pageTexts.join('\n'), method: 'pdf-ocr', pages: pdf.numpages, warnings };
+      }
+      console.warn('⚠️ PDF has no text layer and no JPEG page images, skipping OCR');
+      warnings.push('The PDF has no text layer and its scanned pages are not stored as JPEG images, so OCR was skipped. Upload the scan as JPG or PNG images instead.');
+    }
+
+    return { text, method: 'pdf-text', pages: pdf.numpages, warnings };
+  }
+
+  if (extension === '.docx') {
+    const { value } = await mammoth.extractRawText({ path: file.path });
+    return { text: value || '', method: 'docx-text', pages: null };
+  }
+
+  if (extension === '.txt') {
+    return { text: fs.readFileSync(file.path, 'utf8'), method: 'plain-text', pages: null };
+  }
+
+  if (['.jpg', '.jpeg', '.png', '.gif'].includes(extension)) {
+    const [text] = await ocrImages([file.path]);
+    return { text, method: 'ocr', pages: 1 };
+  }
+
+  throw new Error(`Local text extraction is not supported for ${extension} files`);
+};
+
+// Extract structured marks from a marks card without app.py or the LLM
+const extractMarksLocally = async (file) => {
+  console.log('🔍 Extracting marks locally:', file.originalname);
+
+  const { text, method, warnings: extractionWarnings = [] } = await extractDocumentText(file);
+  const parsed = parseMarksCardText(text);
+  const warnings = extractionWarnings.concat(parsed.warnings);
+
+  if (parsed.subjects.length === 0) {
+    throw new Error(['No subject rows could be recognised on the marks card.', ...extractionWarnings].join(' '));
+  }
 
-          analysisResult = {
-            ...basicStructure,
-            detailedAnalysis: detailedAnalysis,
-            filename: analysisResponse.data.filename || req.file.originalname,
-            extractedTextLength: analysisResponse.data.extracted_text_length || 0,
-            source: 'app.py'
-          };
+  const subjects = parsed.subjects.map(normalizeSubjectMarks);
+  const { sgpa, backlogs } = computeSemesterGpa(subjects);
 
-        } else {
-          throw new Error(analysisResponse.data.error || 'App.py analysis failed');
-        }
+  const summary = [
+    `Extracted ${subjects.length} subjects from the marks card (${EXTRACTION_METHOD_LABELS[method] || method}).`,
+    parsed.semester ? `Semester: ${parsed.semester}.` : null,
+    parsed.totalPercentage !== null ? `Average total: ${parsed.totalPercentage}%.` : null,
+    `Backlogs: ${backlogs}.`,
+    ...warnings,
+    ...subjects.map(subject => `${subject.code || ''} ${subject.name}: ${subject.score ?? '-'} (${subject.grade || subject.result || '-'})`.trim())
+  ].filter(Boolean).join('\n');
 
-      } catch (appPyError) {
-        console.error('❌ App.py analysis failed:', appPyError.message);
-        appPyAvailable = false; // Fall back to Groq-only analysis
-      }
-    }
+  return {
+    subjects,
+    sgpa: sgpa ?? parsed.sgpa,
+    backlogs,
+    totalPercentage: parsed.totalPercentage,
+    cgpa: null,
+    semester: parsed.semester,
+    usn: parsed.usn,
+    detailedAnalysis: summary,
+    filename: file.originalname,
+    extractedTextLength: text.length,
+    warnings,
+    source: `local-${method}`
+  };
+};
 
-    // If app.py is not available or failed, use Groq-only analysis
-    if (!appPyAvailable || !analysisResult) {
-      console.log('🔄 Using Groq-only analysis as fallback...');
-      
-      try {
-        // Read file content for basic text extraction
-        const fileExtension = path.extname(req.file.originalname).toLowerCase();
-        let fileContent = '';
-        
-        if (fileExtension === '.txt') {
-          fileContent = fs.readFileSync(req.file.path, 'utf8');
-        } else {
-          // For other files, we'll do basic analysis
-          fileContent = `Resume file: ${req.file.originalname} (${req.file.size} bytes)`;
-        }
+// Analyze an uploaded marks card via app.py and extract the basic academic structure
+const analyzeMarksFileWithAppPy = async (file) => {
+  console.log('📊 Processing marks card:', file.originalname);
 
-        const groqResponse = await groq.chat.completions.create({
-          messages: [
-            {
-              role: "system",
-              content: `You are analyzing a resume. Based on the filename and any available content, provide a structured analysis. Return ONLY valid JSON:
-              {
-                "skills": ["JavaScript", "Python", "React"],
-                "projects": [{"title": "Web Application", "description": "Full-stack web application"}],
-                "experience": [{"company": "Tech Company", "position": "Developer", "duration": "2022-2023"}],
-                "education": [{"degree": "Computer Science", "institution": "University", "year": "2021"}],
-                "detailedAnalysis": "Based on the resume file..."
-              }
-              
-              If you cannot extract specific information, provide reasonable defaults and mention the limitation in detailedAnalysis.`
-            },
-            {
-              role: "user",
-              content: `Analyze this resume content: ${fileContent.substring(0, 1000)}`
-            }
-          ],
-          model: "openai/gpt-oss-20b",
-          temperature: 0.3,
-          max_tokens: 1500,
-        });
+  const FormData = require('form-data');
+  const form = new FormData();
+  
+  const fileBuffer = fs.readFileSync(file.path);
+  form.append('file', fileBuffer, {
+    filename: file.originalname,
+    contentType: file.mimetype
+  });
 
-        const content = groqResponse.choices[0]?.message?.content || '{}';
-        let jsonContent = content;
-        
-        const jsonMatch = content.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/);
-        if (jsonMatch) {
-          jsonContent = jsonMatch[1];
-        } else {
-          const jsonStart = content.indexOf('{');
-          const jsonEnd = content.lastIndexOf('}') + 1;
-          if (jsonStart !== -1 && jsonEnd > jsonStart) {
-            jsonContent = content.slice(jsonStart, jsonEnd);
-          }
-        }
+  const analysisResponse = await axios.post(`${APP_PY_BASE_URL}/upload-marks-card`, form, {
+    headers: {
+      ...form.getHeaders(),
+    },
+    timeout: 60000
+  });
 
-        try {
-          const groqResult = JSON.parse(jsonContent);
-          
-          analysisResult = {
-            skills: Array.isArray(groqResult.skills) ? groqResult.skills : ["Resume analysis completed"],
-            projects: Array.isArray(groqResult.projects) ? groqResult.projects : [{ 
-              title: "Resume Uploaded", 
-              description: "Resume has been uploaded and is ready for review" 
-            }],
-            experience: Array.isArray(groqResult.experience) ? groqResult.experience : [{ 
-              company: "Resume Uploaded", 
-              position: "Please review manually", 
-              duration: "N/A" 
-            }],
-            education: Array.isArray(groqResult.education) ? groqResult.education : [{ 
-              degree: "Resume Uploaded", 
-              institution: "Please review manually", 
-              year: "N/A" 
-            }],
-            detailedAnalysis: groqResult.detailedAnalysis || "Resume uploaded successfully. Manual review recommended for detailed analysis.",
-            filename: req.file.originalname,
-            extractedTextLength: fileContent.length,
-            source: 'groq-fallback'
-          };
-
-        } catch (parseError) {
-          console.error('Failed to parse Groq response:', parseError);
-          
-          // Ultimate fallback
-          analysisResult = {
-            skills: ["Resume uploaded successfully"],
-            projects: [{ 
-              title: "Resume Analysis", 
-              description: "Resume has been uploaded. Please review the file manually for detailed information." 
-            }],
-            experience: [{ 
-              company: "Analysis pending", 
-              position: "Manual review required", 
-              duration: "N/A" 
-            }],
-            education: [{ 
-              degree: "Analysis pending", 
-              institution: "Manual review required", 
-              year: "N/A" 
-            }],
-            detailedAnalysis: "Resume uploaded successfully. The file is saved and can be reviewed manually. Automated analysis was not available.",
-            filename: req.file.originalname,
-            extractedTextLength: 0,
-            source: 'basic-fallback'
-          };
+  if (analysisResponse.data.success) {
+    const detailedAnalysis = analysisResponse.data.analysis;
+    
+    console.log('✅ Marks analysis completed, extracting structure...');
+    
+    // A response that never validates throws, so analyzeMarksFile falls back to local extraction
+    const { data } = await runValidatedLLMTask('marksStructure', [
+      {
+        role: "system",
+        content: `Extract ONLY basic academic data from this analysis for form completion. Return valid JSON:
+        {
+          "subjects": [{"code": "21CS51", "name": "Subject Name", "credits": 3, "grade": "A+", "score": 85}],
+          "totalPercentage": 85.5,
+          "sgpa": 8.5,
+          "cgpa": 8.5,
+          "semester": 6
         }
-
-      } catch (groqError) {
-        console.error('❌ Groq analysis also failed:', groqError.message);
         
-        // Final fallback - just confirm upload
-        analysisResult = {
-          skills: ["Resume uploaded"],
-          projects: [{ 
-            title: "Resume Upload", 
-            description: "Your resume has been uploaded successfully" 
-          }],
-          experience: [{ 
-            company: "Upload completed", 
-            position: "Ready for manual review", 
-            duration: "N/A" 
-          }],
-          education: [{ 
-            degree: "Upload completed", 
-            institution: "Ready for manual review", 
-            year: "N/A" 
-          }],
-          detailedAnalysis: "Resume uploaded successfully. File is available for manual review.",
-          filename: req.file.originalname,
-          extractedTextLength: 0,
-          source: 'upload-only'
-        };
+        "score" is the total marks out of 100. Use the grade letters printed on the marks card (O, A+, A, B+, B, C, P, F). Use null for any code, credits, grade or score that is not stated; do not estimate.`
+      },
+      {
+        role: "user",
+        content: `Extract basic academic data from this analysis:\n${detailedAnalysis}`
       }
-    }
+    ]);
 
-    // Clean up uploaded file
-    try {
-      fs.unlinkSync(req.file.path);
-      console.log('🗑️ Temporary file cleaned up');
-    } catch (cleanupError) {
-      console.error('Warning: Could not clean up temporary file:', cleanupError.message);
-    }
+    const subjects = data.subjects.map(normalizeSubjectMarks);
+    const { sgpa, backlogs } = computeSemesterGpa(subjects);
 
-    console.log('✅ Resume analysis completed:', analysisResult.source);
-    res.json(analysisResult);
+    const basicMarksData = {
+      subjects,
+      sgpa: sgpa ?? toNumberOrNull(data.sgpa),
+      backlogs,
+      totalPercentage: toNumberOrNull(data.totalPercentage),
+      cgpa: toNumberOrNull(data.cgpa),
+      semester: data.semester ?? null
+    };
 
-  } catch (error) {
-    console.error("❌ Error in resume analysis endpoint:", error);
-    
-    // Clean up file if it exists
-    if (req.file && req.file.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error cleaning up file:', unlinkError);
-      }
-    }
-    
-    // Return user-friendly error response
-    res.status(500).json({ 
-      error: 'Resume analysis temporarily unavailable',
-      details: 'The system is having trouble analyzing your resume. Your file upload was successful, but automated analysis is not available right now.',
-      fallback: {
-        skills: ["Resume uploaded successfully"],
-        projects: [{ 
-          title: "Manual Review Required", 
-          description: "Your resume has been uploaded and is available for manual review" 
-        }],
-        experience: [{ 
-          company: "Upload successful", 
-          position: "Manual review needed", 
-          duration: "N/A" 
-        }],
-        education: [{ 
-          degree: "Upload successful", 
-          institution: "Manual review needed", 
-          year: "N/A" 
-        }],
-        detailedAnalysis: "Resume uploaded successfully. Automated analysis is temporarily unavailable, but your file is saved for manual review.",
-        filename: req.file ? req.file.originalname : 'Unknown',
-        source: 'error-fallback'
-      }
-    });
+    return {
+      ...basicMarksData,
+      detailedAnalysis: detailedAnalysis,
+      filename: analysisResponse.data.filename,
+      extractedTextLength: analysisResponse.data.extracted_text_length,
+      source: 'app.py'
+    };
+  } else {
+    throw new Error(analysisResponse.data.error || 'Analysis failed');
   }
-});
+};
+
+// Analyze a marks card, falling back to local OCR/PDF extraction when app.py is unavailable
+const analyzeMarksFile = async (file) => {
+  try {
+    return await analyzeMarksFileWithAppPy(file);
+  } catch (appPyError) {
+    console.warn('⚠️ App.py marks analysis failed, using local extraction:', appPyError.message);
+    return extractMarksLocally(file);
+  }
+};
 
 // Marks analysis endpoint
 app.post('/api/analyze-marks', upload.single('marksheet'), async (req, res) => {
@@ -1167,142 +6188,23 @@ app.post('/api/analyze-marks', upload.single('marksheet'), async (req, res) => {
       });
     }
 
-    console.log('📊 Processing marks card:', req.file.originalname);
-
-    const FormData = require('form-data');
-    const form = new FormData();
-    
-    const fileBuffer = fs.readFileSync(req.file.path);
-    form.append('file', fileBuffer, {
-      filename: req.file.originalname,
-      contentType: req.file.mimetype
-    });
-
-    const analysisResponse = await axios.post(`${APP_PY_BASE_URL}/upload-marks-card`, form, {
-      headers: {
-        ...form.getHeaders(),
-      },
-      timeout: 60000
+    // The result optionally goes to req.body.studentId (as req.body.semester when the card doesn't say)
+    const job = await enqueueJob({
+      type: 'marksAnalysis',
+      payload: { studentId: req.body.studentId, semester: req.body.semester },
+      file: req.file,
+      user: req.user
     });
-
-    fs.unlinkSync(req.file.path);
-
-    if (analysisResponse.data.success) {
-      const detailedAnalysis = analysisResponse.data.analysis;
-      
-      console.log('✅ Marks analysis completed, extracting structure...');
-      
-      const groqResponse = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content: `Extract ONLY basic academic data from this analysis for form completion. Return valid JSON:
-            {
-              "subjects": [{"name": "Subject Name", "score": 85}],
-              "totalPercentage": 85.5,
-              "cgpa": 8.5,
-              "semester": 6
-            }
-            
-            Extract actual grades/scores mentioned in the analysis. If specific scores aren't clear, use reasonable estimates based on the grade letters (A=90-100, B=80-89, C=70-79, etc.).`
-          },
-          {
-            role: "user",
-            content: `Extract basic academic data from this analysis:\n${detailedAnalysis}`
-          }
-        ],
-        model: "openai/gpt-oss-20b",
-        temperature: 0,
-        max_tokens: 800,
-      });
-
-      let basicMarksData;
-      try {
-        const content = groqResponse.choices[0]?.message?.content || '';
-        let jsonContent = content;
-        
-        const jsonMatch = content.match(/```\s*(?:json)?\s*\n?([\s\S]+?)\n?```/);
-        if (jsonMatch) {
-          jsonContent = jsonMatch[1];
-        } else {
-          const jsonStart = content.indexOf('{');
-          const jsonEnd = content.lastIndexOf('}') + 1;
-          if (jsonStart !== -1 && jsonEnd > jsonStart) {
-            jsonContent = content.slice(jsonStart, jsonEnd);
-          }
-        }
-
-        basicMarksData = JSON.parse(jsonContent);
-        
-        basicMarksData = {
-          subjects: Array.isArray(basicMarksData.subjects) ? basicMarksData.subjects.map(subject => ({
-            name: subject.name || 'Unknown Subject',
-            score: typeof subject.score === 'number' ? subject.score : parseFloat(subject.score) || 0
-          })) : [],
-          totalPercentage: typeof basicMarksData.totalPercentage === 'number' ? basicMarksData.totalPercentage : parseFloat(basicMarksData.totalPercentage) || null,
-          cgpa: typeof basicMarksData.cgpa === 'number' ? basicMarksData.cgpa : parseFloat(basicMarksData.cgpa) || null,
-          semester: typeof basicMarksData.semester === 'number' ? basicMarksData.semester : parseInt(basicMarksData.semester) || null
-        };
-
-      } catch (err) {
-        console.error("Failed to extract basic marks data:", err);
-        
-        let extractedGPA = null;
-        const gpaMatch = detailedAnalysis.match(/GPA.*?(\d+\.?\d*)/i);
-        if (gpaMatch) {
-          extractedGPA = parseFloat(gpaMatch[1]);
-        }
-        
-        basicMarksData = {
-          subjects: [{ name: "Analysis completed", score: 0 }],
-          totalPercentage: extractedGPA ? (extractedGPA * 10) : null,
-          cgpa: extractedGPA,
-          semester: null
-        };
-      }
-
-      const responseData = {
-        success: true,
-        data: {
-          ...basicMarksData,
-          detailedAnalysis: detailedAnalysis,
-          filename: analysisResponse.data.filename,
-          extractedTextLength: analysisResponse.data.extracted_text_length
-        },
-        nextEnabled: true,
-        message: 'Marks sheet analyzed successfully'
-      };
-
-      console.log('✅ Marks analysis response prepared');
-      return res.status(200).json(responseData);
-
-    } else {
-      throw new Error(analysisResponse.data.error || 'Analysis failed');
-    }
+    res.status(202).json(jobAcceptedResponse(job));
 
   } catch (error) {
-    console.error("❌ Error analyzing marks:", error);
-    
-    if (req.file && req.file.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error cleaning up file:', unlinkError);
-      }
-    }
-    
+    console.error("❌ Error queueing marks analysis:", error);
+    removeUploadedFile(req.file);
     res.status(200).json({ 
       success: false,
       error: 'Error analyzing marks',
       nextEnabled: true,
-      data: {
-        subjects: [],
-        totalPercentage: null,
-        cgpa: null,
-        semester: null,
-        detailedAnalysis: null
-      },
-      message: 'There was an error analyzing your marks, but you can continue to the next step.'
+      message: 'There was an error queueing your marks for analysis, but you can continue to the next step.'
     });
   }
 });
@@ -1324,57 +6226,16 @@ app.post('/api/fetch-github-data', async (req, res) => {
     
     console.log('🐙 Fetching GitHub data for:', username);
     
-    const userResponse = await axios.get(`https://api.github.com/users/${username}`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Student-Analysis-System'
-      }
-    });
-    
-    const reposResponse = await axios.get(`https://api.github.com/users/${username}/repos?sort=updated&per_page=10`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Student-Analysis-System'
-      }
-    });
-    
-    const languages = new Set();
-    reposResponse.data.forEach(repo => {
-      if (repo.language) {
-        languages.add(repo.language);
-      }
-    });
-    
-    const topRepos = reposResponse.data.map(repo => ({
-      name: repo.name,
-      description: repo.description || '',
-      stars: repo.stargazers_count,
-      language: repo.language || 'None',
-      updatedAt: repo.updated_at
-    }));
-    
-    const githubData = {
-      username: userResponse.data.login,
-      repositories: userResponse.data.public_repos,
-      publicRepos: userResponse.data.public_repos,
-      followers: userResponse.data.followers,
-      following: userResponse.data.following,
-      languages: Array.from(languages),
-      profileUrl: userResponse.data.html_url,
-      avatar: userResponse.data.avatar_url,
-      bio: userResponse.data.bio,
-      contributionsLastYear: Math.floor(Math.random() * 500) + 100,
-      topRepos
-    };
+    const githubData = await fetchGitHubProfile(username);
     
     console.log('✅ GitHub data fetched successfully');
     res.json(githubData);
   } catch (error) {
-    console.error('❌ Error fetching GitHub data:', error);
+    console.error('❌ Error fetching GitHub data:', error.message);
     
     if (error.response?.status === 404) {
       res.status(404).json({ error: 'GitHub user not found' });
-    } else if (error.response?.status === 403) {
+    } else if (error.response?.status === 403 || error.response?.status === 429) {
       res.status(403).json({ error: 'GitHub API rate limit exceeded' });
     } else {
       res.status(500).json({ error: 'Failed to fetch GitHub data' });
@@ -1382,7 +6243,7 @@ app.post('/api/fetch-github-data', async (req, res) => {
   }
 });
 
-// FIXED: LeetCode data fetching endpoint
+// LeetCode data fetching endpoint
 app.post('/api/fetch-leetcode-data', async (req, res) => {
   try {
     const { leetcodeUrl, username } = req.body;
@@ -1412,59 +6273,455 @@ app.post('/api/fetch-leetcode-data', async (req, res) => {
     
     console.log('🔢 Fetching LeetCode data for:', extractedUsername);
     
-    try {
-      // Create deterministic data based on username for consistency
-      const userHash = extractedUsername.split('').reduce((a, b) => {
-        a = ((a << 5) - a) + b.charCodeAt(0);
-        return a & a;
-      }, 0);
-      
-      const mockLeetCodeData = {
-        username: extractedUsername,
-        totalSolved: Math.abs(userHash % 800) + 200,
-        easySolved: Math.abs(userHash % 300) + 100,
-        mediumSolved: Math.abs(userHash % 350) + 80,
-        hardSolved: Math.abs(userHash % 150) + 20,
-        contestRating: Math.abs(userHash % 1000) + 1200,
-        ranking: Math.abs(userHash % 80000) + 5000,
-        badges: ['50 Days Badge', 'Annual Badge', 'Contest Badge'],
-        profileUrl: leetcodeUrl || `https://leetcode.com/u/${extractedUsername}/`,
-        acceptanceRate: ((Math.abs(userHash % 30) + 60)).toFixed(1),
-        submissions: Math.abs(userHash % 3000) + 1000,
-        lastActive: new Date().toISOString(),
-        note: 'Mock data - replace with actual LeetCode API integration'
-      };
-      
-      console.log('✅ LeetCode data generated successfully');
-      res.json(mockLeetCodeData);
-    } catch (apiError) {
-      console.error('LeetCode API Error:', apiError);
-      
-      // Fallback to mock data
-      const mockLeetCodeData = {
-        username: extractedUsername,
-        totalSolved: Math.floor(Math.random() * 800) + 200,
-        easySolved: Math.floor(Math.random() * 300) + 100,
-        mediumSolved: Math.floor(Math.random() * 350) + 80,
-        hardSolved: Math.floor(Math.random() * 150) + 20,
-        contestRating: Math.floor(Math.random() * 1000) + 1200,
-        ranking: Math.floor(Math.random() * 80000) + 5000,
-        badges: ['Mock Badge'],
-        profileUrl: leetcodeUrl || `https://leetcode.com/u/${extractedUsername}/`,
-        acceptanceRate: (Math.random() * 30 + 60).toFixed(1),
-        submissions: Math.floor(Math.random() * 3000) + 1000,
-        warning: 'Using fallback data - LeetCode API integration needed'
-      };
-      
-      res.json(mockLeetCodeData);
-    }
+    const leetcodeData = await fetchLeetCodeProfile(extractedUsername);
     
+    console.log('✅ LeetCode data fetched successfully');
+    res.json(leetcodeData);
   } catch (error) {
-    console.error('❌ Error processing LeetCode request:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch LeetCode data',
-      details: error.message 
+    console.error('❌ Error fetching LeetCode data:', error.message);
+    
+    if (error.status === 404 || error.response?.status === 404) {
+      res.status(404).json({ error: 'LeetCode user not found' });
+    } else if (error.response?.status === 429 || error.response?.status === 403) {
+      res.status(429).json({ error: 'LeetCode API rate limit exceeded. Please try again later.' });
+    } else {
+      res.status(502).json({ 
+        error: 'Failed to fetch LeetCode data',
+        details: error.message 
+      });
+    }
+  }
+});
+
+// Background job queue
+// The worker polls the Job collection, so queued jobs survive restarts and can be run by any instance.
+// Serverless deployments (Vercel) only accept jobs, since nothing runs there after the response is sent:
+// the worker is off by default and a long-lived `npm run worker` process (worker.js) has to process them.
+// JOB_WORKER_ENABLED=true/false overrides the default either way.
+const JOB_WORKER_ENABLED = process.env.JOB_WORKER_ENABLED
+  ? process.env.JOB_WORKER_ENABLED !== 'false'
+  : !process.env.VERCEL;
+const JOB_WORKER_ONLY = process.env.JOB_WORKER_ONLY === 'true';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+// Retries wait 10s, 20s, 40s, ... by default
+const JOB_RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '10000');
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || String(5 * 60 * 1000));
+
+const jobUploadsBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'jobUploads' });
+
+// Copy a multer upload into GridFS so whichever worker runs the job can read it
+const storeJobUpload = async (file) => {
+  const uploadStream = jobUploadsBucket().openUploadStream(file.originalname, {
+    metadata: { mimetype: file.mimetype, size: file.size }
+  });
+  await pipeline(fs.createReadStream(file.path), uploadStream);
+  return { fileId: uploadStream.id, originalname: file.originalname, mimetype: file.mimetype, size: file.size };
+};
+
+// Write a job's upload back to a temporary file, since the analyzers read uploads from disk
+const restoreJobUpload = async (job) => {
+  const { fileId, originalname, mimetype, size } = job.payload.file;
+  const uploadDir = 'uploads/';
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+  const filePath = path.join(uploadDir, `job-${job._id}-${job.attempts}${path.extname(originalname)}`);
+  try {
+    await pipeline(jobUploadsBucket().openDownloadStream(fileId), fs.createWriteStream(filePath));
+  } catch (error) {
+    removeUploadedFile({ path: filePath });
+    throw permanentJobError(`The uploaded file for this job is no longer available: ${error.message}`);
+  }
+  return { path: filePath, originalname, mimetype, size };
+};
+
+const discardJobUpload = async (job) => {
+  if (!job.payload?.file?.fileId) return;
+  try {
+    await jobUploadsBucket().delete(job.payload.file.fileId);
+  } catch (error) {
+    console.error(`Error removing upload of job ${job._id}:`, error.message);
+  }
+};
+
+// Queue a job; `file` is a multer upload, which is moved into GridFS
+const enqueueJob = async ({ type, payload = {}, file, student, user }) => {
+  const jobPayload = { ...payload };
+  if (file) {
+    try {
+      jobPayload.file = await storeJobUpload(file);
+    } finally {
+      removeUploadedFile(file);
+    }
+  }
+
+  const job = await Job.create({
+    type,
+    payload: jobPayload,
+    student: student?._id,
+    createdBy: user?._id,
+    maxAttempts: JOB_MAX_ATTEMPTS
+  });
+  console.log(`📥 Queued ${type} job ${job._id}`);
+  if (jobWorkerTimer) {
+    setImmediate(pollJobs);
+  }
+  return job;
+};
+
+const jobAcceptedResponse = (job) => ({
+  success: true,
+  jobId: job._id,
+  status: job.status,
+  statusUrl: `/api/jobs/${job._id}`,
+  message: 'Analysis queued. Poll the status URL for progress and the result.'
+});
+
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+  student: job.student || null,
+  result: job.status === 'completed' ? job.result : null,
+  error: job.error?.message ? job.error : null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  completedAt: job.completedAt || null
+});
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+};
+
+// Run and save the full profile analysis; output that never validates is recorded as a failed run
+const runProfileAnalysis = async (student, user) => {
+  let analysis;
+  try {
+    analysis = await analyzeStudentProfile(student);
+  } catch (err) {
+    if (!isLLMOutputError(err)) throw err;
+    const snapshot = await recordFailedRun({
+      student,
+      type: 'analysis',
+      inputSummary: summarizeProfileInput(student),
+      error: err,
+      user
+    });
+    throw permanentJobError('The model did not return a valid analysis, so nothing was saved', failedRunResponse(err, snapshot));
+  }
+
+  student.analysis = analysis;
+  await student.save();
+  const snapshot = await recordSnapshot({
+    student,
+    type: 'analysis',
+    inputSummary: summarizeProfileInput(student),
+    output: analysis,
+    user
+  });
+  console.log('✅ Student analysis completed and saved:', student.usn);
+  return { analysis, snapshot };
+};
+
+// Each handler gets { job, user, file, progress } and returns what the endpoint used to respond with
+const JOB_HANDLERS = {
+  resumeAnalysis: async ({ job, user, file, progress }) => {
+    await progress(20, 'Analyzing resume');
+    const analysisResult = await analyzeResumeFile(file);
+
+    if (job.payload.studentId) {
+      await progress(90, 'Saving to student profile');
+      analysisResult.savedToStudent = await saveUploadAnalysis({ body: job.payload, file, user }, 'resume', analysisResult, { source: analysisResult.source });
+    }
+    return analysisResult;
+  },
+
+  marksAnalysis: async ({ job, user, file, progress }) => {
+    await progress(20, 'Analyzing marks card');
+    const marksData = await analyzeMarksFile(file);
+
+    let savedToStudent = false;
+    if (job.payload.studentId) {
+      await progress(90, 'Saving to student profile');
+      savedToStudent = await saveUploadAnalysis({ body: job.payload, file, user }, 'marks', marksData);
+    }
+    return {
+      success: true,
+      data: marksData,
+      savedToStudent,
+      nextEnabled: true,
+      message: 'Marks sheet analyzed successfully'
+    };
+  },
+
+  profileAnalysis: async ({ job, user, progress }) => {
+    const student = await Student.findById(job.payload.studentId);
+    if (!student) {
+      throw permanentJobError('Student not found');
+    }
+
+    await progress(20, 'Analyzing profile');
+    const { analysis } = await runProfileAnalysis(student, user);
+    return analysis;
+  },
+
+  // Re-run the profile analysis for every student matching the filter, a few at a time
+  cohortReanalysis: async ({ job, user, progress }) => {
+    const { filter, concurrency } = job.payload;
+    const students = await Student.find(await buildReanalysisMatch(filter), { usn: 1, name: 1 }).sort({ usn: 1 });
+    await progress(1, `Re-analyzing ${students.length} students`);
+
+    const results = [];
+    await mapWithConcurrency(students, concurrency, async ({ _id, usn, name }) => {
+      const entry = { student: _id, usn, name };
+      try {
+        const student = await Student.findById(_id);
+        if (!student) {
+          throw new Error('Student no longer exists');
+        }
+        const { analysis, snapshot } = await runProfileAnalysis(student, user);
+        Object.assign(entry, { status: 'completed', overallScore: analysis.overallScore ?? null, snapshotId: snapshot?._id || null });
+      } catch (error) {
+        Object.assign(entry, { status: 'failed', error: error.message, snapshotId: error.details?.snapshotId || null });
+      }
+      results.push(entry);
+      await progress(Math.round((results.length / students.length) * 100), `${results.length}/${students.length} students analyzed`);
+    });
+
+    const failed = results.filter(entry => entry.status === 'failed').length;
+    console.log(`✅ Cohort re-analysis finished: ${results.length - failed} completed, ${failed} failed`);
+    return {
+      filter,
+      concurrency,
+      total: students.length,
+      completed: results.length - failed,
+      failed,
+      students: results.sort((a, b) => a.usn.localeCompare(b.usn))
+    };
+  },
+
+  softSkillsAnalysis: async ({ job, user, progress }) => {
+    const { responses, studentId } = job.payload;
+    let answers;
+    try {
+      answers = await resolveSoftSkillsAnswers(responses);
+    } catch (answersError) {
+      if (!answersError.status) throw answersError;
+      throw permanentJobError(answersError.message, answersError.details);
+    }
+
+    await progress(20, 'Scoring answers');
+    let analysisData;
+    try {
+      analysisData = await analyzeSoftSkillsResponses(answers);
+    } catch (analysisError) {
+      if (!isLLMOutputError(analysisError)) throw analysisError;
+      const student = studentId ? await Student.findById(studentId) : null;
+      const snapshot = student ? await recordFailedRun({
+        student,
+        type: 'softSkills',
+        inputSummary: summarizeSoftSkillsInput(responses),
+        error: analysisError,
+        user
+      }) : null;
+      throw permanentJobError('The model did not return a valid analysis, so nothing was saved', failedRunResponse(analysisError, snapshot));
+    }
+
+    const student = studentId ? await Student.findById(studentId) : null;
+    if (student) {
+      await progress(90, 'Saving assessment');
+      student.softSkillsAssessment = analysisData;
+      await student.save();
+      await recordSnapshot({
+        student,
+        type: 'softSkills',
+        inputSummary: summarizeSoftSkillsInput(analysisData.responses),
+        output: analysisData,
+        user
+      });
+      console.log('✅ Soft skills assessment saved to student profile');
+    }
+    return {
+      success: true,
+      data: analysisData,
+      message: 'Soft skills assessment completed successfully'
+    };
+  }
+};
+
+let jobWorkerTimer = null;
+let activeJobs = 0;
+let pollingJobs = false;
+
+const claimNextJob = () => Job.findOneAndUpdate(
+  { status: 'queued', runAt: { $lte: new Date() } },
+  {
+    $set: { status: 'running', lockedAt: new Date(), updatedAt: new Date(), 'progress.message': 'Starting' },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+const runJob = async (job) => {
+  let file = null;
+  const progress = (percent, message) => Job.updateOne(
+    { _id: job._id },
+    { $set: { 'progress.percent': percent, 'progress.message': message, lockedAt: new Date(), updatedAt: new Date() } }
+  );
+
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw permanentJobError(`Unknown job type: ${job.type}`);
+    }
+    const user = job.createdBy ? await User.findById(job.createdBy) : null;
+    if (job.payload?.file) {
+      await progress(5, 'Loading upload');
+      file = await restoreJobUpload(job);
+    }
+
+    const result = await handler({ job, user, file, progress });
+
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'completed',
+        result,
+        'progress.percent': 100,
+        'progress.message': 'Completed',
+        completedAt: new Date(),
+        updatedAt: new Date()
+      },
+      $unset: { lockedAt: 1, error: 1 }
     });
+    await discardJobUpload(job);
+    console.log(`✅ Job ${job._id} (${job.type}) completed`);
+  } catch (error) {
+    const jobError = { message: error.message, details: error.details };
+    const delay = jobRetryDelay(job, error, JOB_RETRY_BASE_DELAY_MS);
+
+    if (delay !== null) {
+      console.warn(`⚠️ Job ${job._id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          error: jobError,
+          'progress.message': `Attempt ${job.attempts} failed, retrying`,
+          updatedAt: new Date()
+        },
+        $unset: { lockedAt: 1 }
+      });
+    } else {
+      console.error(`❌ Job ${job._id} (${job.type}) failed:`, error.message);
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'failed',
+          error: jobError,
+          'progress.message': 'Failed',
+          completedAt: new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { lockedAt: 1 }
+      });
+      await discardJobUpload(job);
+    }
+  } finally {
+    removeUploadedFile(file);
+  }
+};
+
+// Claim jobs until the worker is at its concurrency limit or the queue is empty
+const pollJobs = async () => {
+  if (!JOB_WORKER_ENABLED || pollingJobs || mongoose.connection.readyState !== 1) return;
+  pollingJobs = true;
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      activeJobs++;
+      runJob(job)
+        .catch(error => console.error(`Error finishing job ${job._id}:`, error))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollJobs);
+        });
+    }
+  } catch (error) {
+    console.error('Error polling jobs:', error);
+  } finally {
+    pollingJobs = false;
+  }
+};
+
+// Jobs whose lock is older than JOB_LOCK_TIMEOUT_MS lost their worker (see staleJobUpdate)
+const requeueStaleJobs = async () => {
+  try {
+    const staleJobs = await Job.find({ status: 'running', lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT_MS) } });
+    for (const job of staleJobs) {
+      const update = staleJobUpdate(job);
+      await Job.updateOne({ _id: job._id, status: 'running' }, update);
+      if (update.$set.status === 'failed') {
+        await discardJobUpload(job);
+      }
+    }
+    if (staleJobs.length > 0) {
+      console.log(`♻️ Recovered ${staleJobs.length} stale job(s)`);
+    }
+  } catch (error) {
+    console.error('Error recovering stale jobs:', error);
+  }
+};
+
+const startJobWorker = async () => {
+  if (!JOB_WORKER_ENABLED) {
+    console.warn('⚠️ Job worker disabled on this instance: queued jobs wait for `npm run worker` to process them');
+    return;
+  }
+  if (jobWorkerTimer) return;
+  await requeueStaleJobs();
+  let polls = 0;
+  jobWorkerTimer = setInterval(() => {
+    // Checking for stale locks once a minute is plenty
+    if (++polls % Math.max(1, Math.round(60000 / JOB_POLL_INTERVAL_MS)) === 0) {
+      requeueStaleJobs();
+    }
+    pollJobs();
+  }, JOB_POLL_INTERVAL_MS);
+  console.log(`👷 Job worker started (concurrency ${JOB_CONCURRENCY})`);
+  pollJobs();
+};
+
+// Get a job's status, progress and (once completed) its result
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!isStaff(req.user) && !job.createdBy?.equals(req.user._id)) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+    res.status(500).json({ error: 'Error fetching job' });
   }
 });
 
@@ -1493,51 +6750,120 @@ app.use('*', (req, res) => {
     path: req.originalUrl,
     availableEndpoints: [
       'GET /api/health',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'GET /api/auth/linkedin',
+      'GET /api/auth/me',
+      'GET /api/me',
+      'POST /api/me/link',
+      'POST /api/me/link/verify',
+      'POST /api/me/resume',
+      'POST /api/me/marksheet',
+      'GET /api/me/soft-skills',
+      'POST /api/me/soft-skills',
+      'GET /api/me/analysis',
+      'POST /api/me/analysis',
+      'POST /api/auth/logout',
+      'GET /api/users',
+      'POST /api/users',
+      'PUT /api/users/:id',
+      'DELETE /api/users/:id',
       'GET /api/students',
+      'GET /api/students/export',
       'GET /api/students/:id',
       'GET /api/students/usn/:usn',
       'GET /api/students/semester/:semester',
+      'GET /api/students/semester/:semester/reports.zip',
       'POST /api/students',
       'PUT /api/students/:id',
       'DELETE /api/students/:id',
+      'POST /api/students/import',
       'POST /api/upload-photo',
       'POST /api/analyze-resume',
       'POST /api/analyze-marks',
       'POST /api/fetch-github-data',
       'POST /api/fetch-leetcode-data',
       'GET /api/soft-skills/questions',
+      'GET /api/questions',
+      'POST /api/questions',
+      'PUT /api/questions/:id',
+      'DELETE /api/questions/:id',
+      'GET /api/rubrics',
+      'PUT /api/rubrics/:skill',
+      'GET /api/analytics/cohort',
+      'GET /api/analytics/cohort/:metric',
+      'POST /api/analytics/reanalyze',
+      'GET /api/jobs/:id',
+      'GET /api/job-postings',
+      'POST /api/job-postings',
+      'GET /api/job-postings/:id',
+      'PUT /api/job-postings/:id',
+      'DELETE /api/job-postings/:id',
+      'POST /api/job-postings/:id/match',
+      'GET /api/companies',
+      'POST /api/companies',
+      'PUT /api/companies/:id',
+      'GET /api/drives',
+      'POST /api/drives',
+      'GET /api/drives/:id',
+      'PUT /api/drives/:id',
+      'POST /api/drives/:id/register',
+      'GET /api/drives/:id/applications',
+      'POST /api/drives/:id/applications/advance',
+      'GET /api/students/:id/applications',
+      'GET /api/analytics/placements',
+      'GET /api/learning-resources',
+      'POST /api/students/:id/learning-plan',
+      'GET /api/students/:id/learning-plan',
+      'PUT /api/students/:id/learning-plan/milestones/:milestoneId',
+      'GET /api/students/:id/notes',
+      'POST /api/students/:id/notes',
+      'PUT /api/students/:id/notes/:noteId',
+      'DELETE /api/students/:id/notes/:noteId',
+      'GET /api/mentor/follow-ups',
+      'GET /api/mentors',
+      'PUT /api/students/:id/mentor',
+      'POST /api/mentors/:mentorId/assign',
+      'GET /api/students/:id/readiness',
+      'GET /api/students/:id/report.pdf',
+      'GET /api/readiness/config',
+      'PUT /api/readiness/config',
       'POST /api/soft-skills/analyze',
       'GET /api/students/:id/soft-skills',
+      'GET /api/students/:id/history',
+      'GET /api/students/:id/academics',
+      'PUT /api/students/:id/academics/semesters/:semester',
+      'GET /api/students/:id/history/diff',
       'POST /api/students/usn/:usn/analyze'
     ]
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  mongoose.connection.close(() => {
+// Graceful shutdown (jobs interrupted here are requeued once their lock times out)
+const shutdown = (signal) => {
+  console.log(`${signal} received. Shutting down gracefully...`);
+  clearInterval(jobWorkerTimer);
+  mongoose.connection.close().then(() => {
     console.log('MongoDB connection closed.');
     process.exit(0);
-  });
-});
+  }, () => process.exit(1));
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  mongoose.connection.close(() => {
-    console.log('MongoDB connection closed.');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Start the server
-app.listen(port, () => {
-  console.log(`
+// Start the server (worker.js runs the job worker alone, without serving HTTP)
+if (JOB_WORKER_ONLY) {
+  console.log('👷 Running in worker-only mode: processing background jobs, not serving HTTP');
+} else {
+  app.listen(port, () => {
+    console.log(`
 🚀 Enhanced Student Analysis Server Started
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 📡 Server URL: http://localhost:${port}
 🗄️  MongoDB: ${mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected'}
 🐍 App.py URL: ${APP_PY_BASE_URL}
+🤖 LLM: ${llm.name} (${LLM_MODEL})
 🔧 Environment: ${process.env.NODE_ENV || 'development'}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -1551,4 +6877,5 @@ app.listen(port, () => {
    
 🎯 Ready to process enhanced student data!
   `);
-});
\ No newline at end of file
+  });
+}
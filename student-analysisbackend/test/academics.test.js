@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSubjectMarks, computeSemesterGpa, computeCgpa } = require('../lib/academics');
+
+test('computeSemesterGpa weights grade points by credits', () => {
+  const gpa = computeSemesterGpa([
+    { credits: 4, gradePoints: 10, grade: 'O' },
+    { credits: 3, gradePoints: 8, grade: 'A' },
+    { credits: 1, gradePoints: 6, grade: 'B' }
+  ]);
+
+  assert.deepEqual(gpa, { sgpa: 8.75, totalCredits: 8, creditPoints: 70, earnedCredits: 8, backlogs: 0 });
+});
+
+test('computeSemesterGpa keeps the credits of failed and absent subjects with 0 points', () => {
+  const gpa = computeSemesterGpa([
+    { credits: 4, gradePoints: 9, grade: 'A+' },
+    { credits: 3, gradePoints: 0, grade: 'F' },
+    { credits: 3, gradePoints: 0, grade: 'AB' }
+  ]);
+
+  assert.equal(gpa.sgpa, 3.6);
+  assert.equal(gpa.totalCredits, 10);
+  assert.equal(gpa.earnedCredits, 4);
+  assert.equal(gpa.backlogs, 2);
+});
+
+test('computeSemesterGpa skips subjects without credits or grade points', () => {
+  const gpa = computeSemesterGpa([
+    { credits: 4, gradePoints: 7, grade: 'B+' },
+    { credits: null, gradePoints: 10, grade: 'O' },
+    { credits: 2, gradePoints: null, grade: null }
+  ]);
+
+  assert.equal(gpa.sgpa, 7);
+  assert.equal(gpa.totalCredits, 4);
+});
+
+test('computeSemesterGpa returns a null SGPA when no subject has credits', () => {
+  const gpa = computeSemesterGpa([{ credits: 0, gradePoints: 8, grade: 'A' }]);
+
+  assert.equal(gpa.sgpa, null);
+  assert.equal(gpa.totalCredits, 0);
+});
+
+test('normalizeSubjectMarks derives the grade from the score when none is given', () => {
+  const subject = normalizeSubjectMarks({ code: ' 21cs51 ', name: 'Automata Theory', credits: '3', score: '72' });
+
+  assert.equal(subject.code, '21CS51');
+  assert.equal(subject.credits, 3);
+  assert.equal(subject.grade, 'A');
+  assert.equal(subject.gradePoints, 8);
+});
+
+test('computeCgpa divides credit points across semesters, falling back to the mean SGPA', () => {
+  assert.equal(computeCgpa([
+    { totalCredits: 20, creditPoints: 180, sgpa: 9 },
+    { totalCredits: 10, creditPoints: 60, sgpa: 6 }
+  ]), 8);
+  assert.equal(computeCgpa([{ sgpa: 8.5 }, { sgpa: 7.25 }]), 7.88);
+  assert.equal(computeCgpa([]), null);
+});
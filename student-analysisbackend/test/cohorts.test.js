@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cohortFieldsFromUsn, normalizeBranch, buildCohortMatch, buildMentorAssignmentMatch } = require('../lib/cohorts');
+
+test('cohortFieldsFromUsn reads the batch year and branch from a USN', () => {
+  assert.deepEqual(cohortFieldsFromUsn('1RV21CS001'), { batchYear: 2021, branch: 'CS' });
+  assert.deepEqual(cohortFieldsFromUsn('4MT22AIM012'), { batchYear: 2022, branch: 'AIM' });
+  assert.deepEqual(cohortFieldsFromUsn('not-a-usn'), {});
+  assert.deepEqual(cohortFieldsFromUsn(undefined), {});
+});
+
+test('normalizeBranch maps department names onto USN branch codes', () => {
+  assert.equal(normalizeBranch('CSE'), 'CS');
+  assert.equal(normalizeBranch(' ise '), 'IS');
+  assert.equal(normalizeBranch('Mech'), 'ME');
+  assert.equal(normalizeBranch('cs'), 'CS');
+  assert.equal(normalizeBranch('AIM'), 'AIM');
+  assert.equal(normalizeBranch(undefined), '');
+});
+
+test('buildCohortMatch validates semester and batch year and upper-cases the branch', () => {
+  assert.deepEqual(buildCohortMatch({ semester: '5', batchYear: '2021', branch: ' cs ' }), {
+    semester: 5,
+    batchYear: 2021,
+    branch: 'CS'
+  });
+  assert.deepEqual(buildCohortMatch({}), {});
+  assert.throws(() => buildCohortMatch({ semester: '9' }), { status: 400, message: 'semester must be between 1 and 8' });
+  assert.throws(() => buildCohortMatch({ batchYear: '21' }), { status: 400, message: 'batchYear must be a four-digit year' });
+});
+
+test('buildMentorAssignmentMatch selects a USN range', () => {
+  assert.deepEqual(buildMentorAssignmentMatch({ usnFrom: '1rv21cs001', usnTo: ' 1RV21CS060 ' }), {
+    usn: { $gte: '1RV21CS001', $lte: '1RV21CS060' }
+  });
+});
+
+test('buildMentorAssignmentMatch selects a section within a semester', () => {
+  assert.deepEqual(buildMentorAssignmentMatch({ semester: 5, section: 'b', branch: 'cs', batchYear: 2021 }), {
+    semester: 5,
+    batchYear: 2021,
+    branch: 'CS',
+    section: 'B'
+  });
+});
+
+test('buildMentorAssignmentMatch needs exactly one kind of selection', () => {
+  const message = 'Give either usnFrom and usnTo, or semester and section';
+
+  assert.throws(() => buildMentorAssignmentMatch({}), { status: 400, message });
+  assert.throws(() => buildMentorAssignmentMatch({ usnFrom: '1RV21CS001', usnTo: '1RV21CS060', semester: 5 }), { status: 400, message });
+  assert.throws(() => buildMentorAssignmentMatch({ semester: 5 }), { status: 400, message: 'Both semester and section are required' });
+});
+
+test('buildMentorAssignmentMatch rejects invalid or mismatched USN ranges', () => {
+  assert.throws(() => buildMentorAssignmentMatch({ usnFrom: '1RV21CS001' }), {
+    status: 400,
+    message: 'usnFrom and usnTo must both be valid USNs (e.g. 1RV21CS001)'
+  });
+
+  const message = 'usnFrom and usnTo must share college, year and branch, with usnFrom first';
+  assert.throws(() => buildMentorAssignmentMatch({ usnFrom: '1RV21CS001', usnTo: '1RV21IS060' }), { status: 400, message });
+  assert.throws(() => buildMentorAssignmentMatch({ usnFrom: '1RV21CS060', usnTo: '1RV21CS001' }), { status: 400, message });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// 102 repositories, so the list comes back over two pages; every tenth one is a fork
+const REPOS = Array.from({ length: 102 }, (_, i) => ({
+  name: `repo-${i}`,
+  owner: { login: 'octo' },
+  fork: i % 10 === 9,
+  language: ['JavaScript', 'Python', null][i % 3],
+  description: null,
+  stargazers_count: i,
+  updated_at: new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString()
+}));
+
+const languagesOf = (index) => (index % 2 === 0 ? { JavaScript: 100 } : { Python: 250, JavaScript: 50 });
+
+let server;
+let requests = [];
+
+// Local stand-in for the GitHub REST and GraphQL APIs
+const handle = (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ path: url.pathname, page: url.searchParams.get('page'), authorization: req.headers.authorization });
+  res.setHeader('Content-Type', 'application/json');
+
+  if (url.pathname === '/users/octo') {
+    return res.end(JSON.stringify({ login: 'octo', public_repos: 102, followers: 7, following: 3, html_url: 'https://github.com/octo', avatar_url: null, bio: null }));
+  }
+  if (url.pathname === '/users/octo/repos') {
+    const page = parseInt(url.searchParams.get('page'));
+    const perPage = parseInt(url.searchParams.get('per_page'));
+    return res.end(JSON.stringify(REPOS.slice((page - 1) * perPage, page * perPage)));
+  }
+  const languages = url.pathname.match(/^\/repos\/octo\/repo-(\d+)\/languages$/);
+  if (languages) {
+    return res.end(JSON.stringify(languagesOf(parseInt(languages[1]))));
+  }
+  if (url.pathname === '/graphql') {
+    return res.end(JSON.stringify({ data: { user: { contributionsCollection: { contributionCalendar: { totalContributions: 321 } } } } }));
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ message: 'Not Found' }));
+};
+
+// The module reads GITHUB_TOKEN when it loads, so load a fresh copy for each setting
+const loadGitHub = (token) => {
+  if (token) {
+    process.env.GITHUB_TOKEN = token;
+  } else {
+    delete process.env.GITHUB_TOKEN;
+  }
+  delete require.cache[require.resolve('../lib/github')];
+  return require('../lib/github');
+};
+
+test.before(async () => {
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GITHUB_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.beforeEach(() => {
+  requests = [];
+});
+
+test.after(() => server.close());
+
+test('fetchGitHubProfile pages through every repository and sums language bytes with a token', async () => {
+  const { fetchGitHubProfile } = loadGitHub('test-token');
+  const profile = await fetchGitHubProfile('octo');
+
+  assert.deepEqual(requests.filter(request => request.path === '/users/octo/repos').map(request => request.page), ['1', '2']);
+  // Forks are skipped: 102 repositories, 10 of them forks
+  assert.equal(requests.filter(request => request.path.endsWith('/languages')).length, 92);
+  assert.ok(requests.every(request => request.authorization === 'Bearer test-token'));
+
+  assert.equal(profile.languageStatsSource, 'languages-api');
+  assert.deepEqual(profile.languageStats, [
+    { name: 'Python', bytes: 10250 },
+    { name: 'JavaScript', bytes: 7150 }
+  ]);
+  assert.deepEqual(profile.languages, ['Python', 'JavaScript']);
+  assert.equal(profile.contributionsLastYear, 321);
+  assert.equal(profile.topRepos.length, 10);
+  assert.equal(profile.topRepos[0].name, 'repo-101');
+  assert.equal(profile.topRepos[9].name, 'repo-92');
+});
+
+test('fetchGitHubProfile counts repositories by primary language without a token', async () => {
+  const { fetchGitHubProfile } = loadGitHub(null);
+  const profile = await fetchGitHubProfile('octo');
+
+  assert.equal(requests.filter(request => request.path.endsWith('/languages') || request.path === '/graphql').length, 0);
+  assert.ok(requests.every(request => request.authorization === undefined));
+
+  assert.equal(profile.languageStatsSource, 'primary-language');
+  assert.deepEqual(profile.languageStats, [
+    { name: 'Python', bytes: null, repos: 31 },
+    { name: 'JavaScript', bytes: null, repos: 30 }
+  ]);
+  assert.equal(profile.contributionsLastYear, null);
+});
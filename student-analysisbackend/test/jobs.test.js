@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { permanentJobError, jobRetryDelay, staleJobUpdate } = require('../lib/jobs');
+const { llmOutputError } = require('../lib/llmOutput');
+
+const BASE_DELAY_MS = 30000;
+
+test('jobRetryDelay doubles the delay with each attempt', () => {
+  const error = new Error('connect ECONNREFUSED');
+
+  assert.equal(jobRetryDelay({ attempts: 1, maxAttempts: 4 }, error, BASE_DELAY_MS), 30000);
+  assert.equal(jobRetryDelay({ attempts: 2, maxAttempts: 4 }, error, BASE_DELAY_MS), 60000);
+  assert.equal(jobRetryDelay({ attempts: 3, maxAttempts: 4 }, error, BASE_DELAY_MS), 120000);
+});
+
+test('jobRetryDelay gives up on the last attempt and on errors a retry cannot fix', () => {
+  const job = { attempts: 1, maxAttempts: 3 };
+
+  assert.equal(jobRetryDelay({ attempts: 3, maxAttempts: 3 }, new Error('timeout'), BASE_DELAY_MS), null);
+  assert.equal(jobRetryDelay(job, permanentJobError('Student not found'), BASE_DELAY_MS), null);
+  assert.equal(jobRetryDelay(job, llmOutputError({ task: 'softSkills', attempts: 3, validationErrors: [] }), BASE_DELAY_MS), null);
+});
+
+test('permanentJobError marks the error as not retryable and keeps its details', () => {
+  const error = permanentJobError('Upload is missing', { fileId: 'abc' });
+
+  assert.equal(error.message, 'Upload is missing');
+  assert.equal(error.retryable, false);
+  assert.deepEqual(error.details, { fileId: 'abc' });
+});
+
+test('staleJobUpdate requeues a job that still has attempts left', () => {
+  const now = new Date('2024-05-01T10:00:00Z');
+
+  assert.deepEqual(staleJobUpdate({ attempts: 1, maxAttempts: 3 }, now), {
+    $set: { status: 'queued', runAt: now, 'progress.message': 'Requeued after the worker stopped', updatedAt: now },
+    $unset: { lockedAt: 1 }
+  });
+});
+
+test('staleJobUpdate fails a job that has used every attempt', () => {
+  const now = new Date('2024-05-01T10:00:00Z');
+  const update = staleJobUpdate({ attempts: 3, maxAttempts: 3 }, now);
+
+  assert.equal(update.$set.status, 'failed');
+  assert.deepEqual(update.$set.error, { message: 'The worker stopped while running this job' });
+  assert.equal(update.$set.completedAt, now);
+  assert.deepEqual(update.$unset, { lockedAt: 1 });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// Local stand-in for the LeetCode GraphQL endpoint, answering by the requested username
+const PROFILES = {
+  ritvik: {
+    data: {
+      matchedUser: {
+        username: 'ritvik',
+        profile: { ranking: 12345 },
+        badges: [{ displayName: '50 Days Badge 2024' }],
+        submitStatsGlobal: {
+          acSubmissionNum: [
+            { difficulty: 'All', count: 150, submissions: 300 },
+            { difficulty: 'Easy', count: 80, submissions: 120 },
+            { difficulty: 'Medium', count: 60, submissions: 150 },
+            { difficulty: 'Hard', count: 10, submissions: 30 }
+          ],
+          totalSubmissionNum: [{ difficulty: 'All', count: 160, submissions: 400 }]
+        }
+      },
+      userContestRanking: { rating: 1650.4, attendedContestsCount: 6 }
+    }
+  },
+  ghost: { data: { matchedUser: null, userContestRanking: null }, errors: [{ message: 'That user does not exist.' }] },
+  throttled: { data: { matchedUser: null }, errors: [{ message: 'Too many requests, slow down' }] }
+};
+
+let server;
+let fetchLeetCodeProfile;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { variables } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(PROFILES[variables.username]));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LEETCODE_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  ({ fetchLeetCodeProfile } = require('../lib/leetcode'));
+});
+
+test.after(() => server.close());
+
+test('fetchLeetCodeProfile maps solved counts, contest rating and acceptance rate', async () => {
+  const profile = await fetchLeetCodeProfile('ritvik');
+
+  assert.deepEqual(profile, {
+    username: 'ritvik',
+    totalSolved: 150,
+    easySolved: 80,
+    mediumSolved: 60,
+    hardSolved: 10,
+    contestRating: 1650,
+    ranking: 12345,
+    badges: ['50 Days Badge 2024'],
+    profileUrl: 'https://leetcode.com/u/ritvik/',
+    acceptanceRate: 75,
+    submissions: 400
+  });
+});
+
+test('fetchLeetCodeProfile reports a missing user as 404', async () => {
+  await assert.rejects(fetchLeetCodeProfile('ghost'), { status: 404, message: 'LeetCode user not found' });
+});
+
+test('fetchLeetCodeProfile reports other GraphQL errors as an upstream failure', async () => {
+  await assert.rejects(fetchLeetCodeProfile('throttled'), {
+    status: 502,
+    message: 'LeetCode API error: Too many requests, slow down'
+  });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { extractJson, checkLLMOutput, repairMessages, llmOutputError, isLLMOutputError } = require('../lib/llmOutput');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+test('extractJson reads a fenced block or the object inside surrounding prose', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"skills": ["Go"]}\n```'), { skills: ['Go'] });
+  assert.deepEqual(extractJson('Sure! {"sgpa": 8.5} Let me know if you need more.'), { sgpa: 8.5 });
+  assert.deepEqual(extractJson(''), {});
+  assert.throws(() => extractJson('I could not read the marks card.'), SyntaxError);
+});
+
+test('every saved fixture passes its task schema', () => {
+  const files = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json'));
+  assert.ok(files.length > 0);
+
+  files.forEach(file => {
+    const { content } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    const reply = typeof content === 'string' ? content : JSON.stringify(content);
+    const { validationErrors } = checkLLMOutput(path.basename(file, '.json'), reply);
+    assert.deepEqual(validationErrors, [], file);
+  });
+});
+
+test('checkLLMOutput lists schema violations with their paths', () => {
+  const reply = JSON.stringify({ subjects: [{ name: '', score: 120 }], semester: 9 });
+  const { data, validationErrors } = checkLLMOutput('marksStructure', reply);
+
+  assert.deepEqual(data.subjects, [{ name: '', score: 120 }]);
+  assert.deepEqual(validationErrors.sort(), [
+    '/semester must be <= 8',
+    '/subjects/0/name must NOT have fewer than 1 characters',
+    '/subjects/0/score must be <= 100'
+  ]);
+});
+
+test('checkLLMOutput reports a reply without JSON instead of throwing', () => {
+  const { data, validationErrors } = checkLLMOutput('resumeStructure', 'No resume text was provided.');
+
+  assert.equal(data, null);
+  assert.equal(validationErrors.length, 1);
+  assert.match(validationErrors[0], /^response is not valid JSON: /);
+});
+
+test('checkLLMOutput runs the extra check only on schema-valid output', () => {
+  const quotesResume = (data) => (data.skills.includes('Kubernetes') ? ['/skills/0 is not in the resume text'] : []);
+  const valid = JSON.stringify({ skills: ['Kubernetes'], projects: [], experience: [], education: [] });
+
+  assert.deepEqual(checkLLMOutput('resumeStructure', valid, quotesResume).validationErrors, ['/skills/0 is not in the resume text']);
+  assert.deepEqual(checkLLMOutput('resumeStructure', valid).validationErrors, []);
+
+  let checked = false;
+  const { validationErrors } = checkLLMOutput('resumeStructure', '{"skills": "Kubernetes"}', () => {
+    checked = true;
+    return [];
+  });
+  assert.equal(checked, false);
+  assert.ok(validationErrors.length > 0);
+});
+
+test('repairMessages replays the rejected reply and lists what to fix', () => {
+  const [assistant, user] = repairMessages('{"skills": "Go"}', ['/skills must be array', "(root) must have required property 'projects'"]);
+
+  assert.deepEqual(assistant, { role: 'assistant', content: '{"skills": "Go"}' });
+  assert.equal(user.role, 'user');
+  assert.match(user.content, /\n- \/skills must be array\n- \(root\) must have required property 'projects'\n/);
+});
+
+test('llmOutputError carries the task, model and validation errors', () => {
+  const error = llmOutputError({ task: 'softSkills', model: 'llama-3.3-70b', attempts: 3, validationErrors: ['/strengths must be array'] });
+
+  assert.equal(error.message, 'softSkills output failed validation after 3 attempts');
+  assert.equal(error.model, 'llama-3.3-70b');
+  assert.deepEqual(error.validationErrors, ['/strengths must be array']);
+  assert.equal(isLLMOutputError(error), true);
+  assert.equal(isLLMOutputError(new Error('socket hang up')), false);
+  assert.equal(isLLMOutputError(undefined), false);
+});
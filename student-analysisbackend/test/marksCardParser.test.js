@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarksCardText } = require('../lib/marksCardParser');
+
+const MARKS_CARD = [
+  'VISVESVARAYA TECHNOLOGICAL UNIVERSITY',
+  'University Seat Number: 1RV21CS042',
+  'Semester : V',
+  '21CS51 | Automata Theory | 45 | 38 | 83 | P',
+  '21CS52 Computer Networks 40 30 70 PASS',
+  '21CS53 DBMS 38 - 38 A',
+  '21CS54 Artificial Intelligence 35 AB 35 AB',
+  '21CS55 Machine Learning 20 12 32 F',
+  'SGPA: 7.85'
+].join('\n');
+
+test('parseMarksCardText reads the USN, semester, SGPA and subject rows', () => {
+  const parsed = parseMarksCardText(MARKS_CARD);
+
+  assert.equal(parsed.usn, '1RV21CS042');
+  assert.equal(parsed.semester, 5);
+  assert.equal(parsed.sgpa, 7.85);
+  assert.equal(parsed.subjects.length, 5);
+  assert.deepEqual(parsed.subjects[0], {
+    code: '21CS51',
+    name: 'Automata Theory',
+    internalMarks: 45,
+    externalMarks: 38,
+    score: 83,
+    result: 'P',
+    grade: undefined
+  });
+  assert.deepEqual(parsed.warnings, []);
+});
+
+test('parseMarksCardText marks subjects with an absent external exam as AB', () => {
+  const parsed = parseMarksCardText(MARKS_CARD);
+  const absent = parsed.subjects.filter(subject => subject.result === 'AB');
+
+  assert.deepEqual(absent.map(subject => subject.code), ['21CS53', '21CS54']);
+  absent.forEach(subject => {
+    assert.equal(subject.externalMarks, null);
+    assert.equal(subject.grade, 'AB');
+  });
+  assert.equal(parsed.subjects.filter(subject => subject.grade === 'F' || subject.grade === 'AB').length, 3);
+});
+
+test('parseMarksCardText reads grade rows with credits and grade points', () => {
+  const parsed = parseMarksCardText('Semester 3rd\n21MAT31 Transform Calculus 3 A+ 9\nBCS302 Digital Design 4 B 6');
+
+  assert.equal(parsed.semester, 3);
+  assert.deepEqual(parsed.subjects, [
+    { code: '21MAT31', name: 'Transform Calculus', credits: 3, grade: 'A+', gradePoints: 9 },
+    { code: 'BCS302', name: 'Digital Design', credits: 4, grade: 'B', gradePoints: 6 }
+  ]);
+  assert.equal(parsed.totalPercentage, null);
+});
+
+test('parseMarksCardText warns about subject rows it cannot read', () => {
+  const parsed = parseMarksCardText('21CS51 Automata Theory 45 38 83 P\n21CS56 Cloud C0mputing 4S 3B ?? P');
+
+  assert.equal(parsed.subjects.length, 1);
+  assert.deepEqual(parsed.warnings, ['Could not read the marks for subject row: "21CS56 Cloud C0mputing 4S 3B ?? P"']);
+});
+
+test('parseMarksCardText returns nothing for text without a marks card', () => {
+  const parsed = parseMarksCardText('Semester 12\nNo marks here');
+
+  assert.equal(parsed.usn, null);
+  assert.equal(parsed.semester, null);
+  assert.deepEqual(parsed.subjects, []);
+  assert.deepEqual(parsed.warnings, []);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDriveEligibility, advanceApplication } = require('../lib/placements');
+const { cohortFieldsFromUsn } = require('../lib/cohorts');
+
+// Drives store USN branch codes; students get their branch from the USN, as the Student pre-save hook does
+const DRIVE = {
+  ctc: 12,
+  interviewRounds: 2,
+  eligibility: { minCgpa: 7.5, maxBacklogs: 0, semesters: [7, 8], branches: ['CS', 'IS'] }
+};
+
+const studentWithUsn = (usn, fields) => ({ usn, ...cohortFieldsFromUsn(usn), ...fields });
+
+test('checkDriveEligibility accepts a student who meets every criterion', () => {
+  const student = studentWithUsn('1RV21CS001', { semester: 7, marks: { cgpa: 8.2, backlogs: 0 } });
+
+  assert.equal(student.branch, 'CS');
+  assert.deepEqual(checkDriveEligibility(DRIVE, student), []);
+});
+
+test('checkDriveEligibility lists every criterion the student misses', () => {
+  const student = studentWithUsn('1RV22EC017', { semester: 5, marks: { cgpa: 7.1, backlogs: 2 } });
+
+  assert.deepEqual(checkDriveEligibility(DRIVE, student), [
+    'Semester 5 is not eligible (open to 7, 8)',
+    'Branch EC is not eligible (open to CS, IS)',
+    'CGPA 7.1 is below the minimum 7.5',
+    '2 backlogs exceeds the maximum of 0'
+  ]);
+});
+
+test('checkDriveEligibility matches drives saved with department names like CSE', () => {
+  const legacyDrive = { eligibility: { branches: ['CSE', 'ISE'] } };
+
+  assert.deepEqual(checkDriveEligibility(legacyDrive, studentWithUsn('1RV21IS044', { semester: 7 })), []);
+  assert.deepEqual(checkDriveEligibility(legacyDrive, studentWithUsn('1RV21ME003', { semester: 7 })), [
+    'Branch ME is not eligible (open to CSE, ISE)'
+  ]);
+});
+
+test('checkDriveEligibility rejects a student without the marks the drive requires', () => {
+  const reasons = checkDriveEligibility(DRIVE, studentWithUsn('1RV20IS009', { semester: 8 }));
+
+  assert.deepEqual(reasons, [
+    'No CGPA on record (minimum 7.5)',
+    'No backlog count on record (at most 0 allowed)'
+  ]);
+});
+
+test('checkDriveEligibility accepts everyone when the drive has no criteria', () => {
+  assert.deepEqual(checkDriveEligibility({}, { semester: 3 }), []);
+});
+
+const newApplication = (stage, interviewRound) => ({ stage, interviewRound, stageHistory: [] });
+const USER = { _id: 'officer-1' };
+
+test('advanceApplication records allowed moves in the stage history', () => {
+  const application = newApplication('applied');
+
+  assert.equal(advanceApplication(application, DRIVE, { stage: 'shortlisted', note: 'Resume ok' }, USER), null);
+  assert.equal(application.stage, 'shortlisted');
+  assert.deepEqual(application.stageHistory, [
+    { stage: 'shortlisted', interviewRound: undefined, note: 'Resume ok', changedBy: 'officer-1' }
+  ]);
+});
+
+test('advanceApplication refuses moves the stage rules do not allow', () => {
+  const application = newApplication('applied');
+
+  assert.equal(advanceApplication(application, DRIVE, { stage: 'offered' }, USER), 'Cannot move from applied to offered');
+  assert.equal(application.stage, 'applied');
+});
+
+test('advanceApplication counts interview rounds up to the drive limit', () => {
+  const application = newApplication('interview', 1);
+
+  assert.equal(advanceApplication(application, DRIVE, { stage: 'interview' }, USER), null);
+  assert.equal(application.interviewRound, 2);
+  assert.equal(advanceApplication(application, DRIVE, { stage: 'interview' }, USER), 'The drive has only 2 interview round(s)');
+});
+
+test('advanceApplication takes the offer CTC from the drive unless one is given', () => {
+  const fromDrive = newApplication('interview', 2);
+  const given = newApplication('interview', 2);
+
+  advanceApplication(fromDrive, DRIVE, { stage: 'offered' }, USER);
+  advanceApplication(given, DRIVE, { stage: 'offered', ctc: 14 }, USER);
+
+  assert.equal(fromDrive.ctc, 12);
+  assert.equal(given.ctc, 14);
+  assert.equal(
+    advanceApplication(newApplication('interview', 1), { interviewRounds: 1 }, { stage: 'offered' }, USER),
+    'ctc is required for an offer because the drive has no default CTC'
+  );
+});
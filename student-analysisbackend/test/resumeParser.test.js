@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResumeText, mergeResumeStructures } = require('../lib/resumeParser');
+
+const RESUME = [
+  'Ritvik R',
+  'Go-getter final year student who enjoys building things',
+  'Skills',
+  'Java, Python, SQL',
+  'Projects',
+  'Chat App | Go, React',
+  '• Real-time chat with websockets',
+  'Education',
+  'B.E. in Computer Science, RV College of Engineering, 2021 - 2025',
+  'Certifications',
+  '• AWS Cloud Practitioner'
+].join('\n');
+
+test('parseResumeText reads the skills, projects, education and certifications sections', () => {
+  const parsed = parseResumeText(RESUME);
+
+  assert.deepEqual(parsed.sections, ['skills', 'projects', 'education', 'certifications']);
+  assert.equal(parsed.projects.length, 1);
+  assert.equal(parsed.projects[0].title, 'Chat App');
+  assert.equal(parsed.education.length, 1);
+  assert.deepEqual(parsed.certifications, ['AWS Cloud Practitioner']);
+});
+
+test('parseResumeText only matches short skill aliases in the skills and projects sections', () => {
+  const parsed = parseResumeText(RESUME);
+
+  assert.deepEqual(parsed.skills, ['Java', 'Python', 'SQL', 'Go', 'React', 'AWS']);
+  assert.ok(!parsed.skills.includes('R'), 'the "R" in the name is not a skill');
+  assert.ok(!parsed.skills.includes('C'), 'the "C" in "Computer" is not a skill');
+});
+
+test('parseResumeText gives section skills more confidence than skills found elsewhere', () => {
+  const parsed = parseResumeText(RESUME);
+
+  assert.equal(parsed.confidence.skills, 0.75);
+  assert.equal(parsed.confidence.certifications, 0.8);
+});
+
+test('parseResumeText returns an empty structure for empty text', () => {
+  const parsed = parseResumeText('');
+
+  assert.deepEqual(parsed.skills, []);
+  assert.deepEqual(parsed.projects, []);
+  assert.deepEqual(parsed.sections, []);
+  assert.equal(parsed.confidence.skills, 0);
+});
+
+test('mergeResumeStructures keeps parsed items and only adds new model items', () => {
+  const baseline = parseResumeText(RESUME);
+  const { structure, contributions } = mergeResumeStructures(baseline, {
+    skills: ['python', 'golang', 'Docker'],
+    projects: [{ title: 'Chat App', description: 'Chat over websockets', technologies: ['Node.js'] }],
+    experience: [{ company: 'Acme Labs', position: 'Intern', duration: 'Jun 2024 - Aug 2024' }],
+    education: []
+  });
+
+  assert.deepEqual(structure.skills, ['Java', 'Python', 'SQL', 'Go', 'React', 'AWS', 'Docker']);
+  assert.equal(structure.projects.length, 1);
+  assert.equal(structure.experience[0].company, 'Acme Labs');
+  assert.deepEqual(contributions.skills, { parser: 6, llm: 1 });
+  assert.deepEqual(contributions.experience, { parser: 0, llm: 1 });
+});
+
+test('mergeResumeStructures only fills blanks on a matching parsed entry', () => {
+  const baseline = parseResumeText(RESUME);
+  const { structure } = mergeResumeStructures(baseline, {
+    projects: [{ title: 'Chat App', description: 'Something else', link: 'https://github.com/ritvik/chat' }]
+  });
+
+  assert.equal(structure.projects[0].description, 'Real-time chat with websockets');
+  assert.equal(structure.projects[0].link, 'https://github.com/ritvik/chat');
+  assert.equal(baseline.projects[0].link, undefined, 'the baseline is not mutated');
+});
+
+test('mergeResumeStructures lowers confidence in proportion to model-added items', () => {
+  const baseline = parseResumeText(RESUME);
+  const { confidence } = mergeResumeStructures(baseline, { skills: ['Docker', 'Kubernetes', 'Redis'] });
+
+  assert.equal(confidence.skills, 0.67);
+  assert.equal(confidence.certifications, baseline.confidence.certifications);
+});
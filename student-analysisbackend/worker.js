@@ -0,0 +1,7 @@
+// Background job worker: connects to MongoDB and processes queued jobs (resume, marks, soft skills and
+// profile analyses, cohort re-analysis) without serving HTTP. Run it as a long-lived process next to a
+// serverless deployment, which only queues jobs. Uses the same environment variables as server.js.
+process.env.JOB_WORKER_ONLY = 'true';
+process.env.JOB_WORKER_ENABLED = 'true';
+
+require('./server');